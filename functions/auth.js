@@ -0,0 +1,239 @@
+/**
+ * API Key 鉴权
+ *
+ * 特权接口统一使用 requireScope 中间件校验 Authorization: Bearer <token>，token 可以是：
+ * - 具名 API Key：msk_{id}.{secret}，KV 中只保存 SHA-256 哈希，可设置有效期，记录最后使用时间
+ * - 旧的共享密钥：GC_SECRET 只有 gc 权限；显式设置的 ADMIN_SECRET 拥有全部权限，用于创建第一个 API Key
+ *
+ * 认证失败（Token 缺失、无效、过期、已撤销）返回 401，权限不足返回 403
+ */
+
+import {
+  errorResponse,
+  generateToken,
+  getMetadataKV,
+  sha256Hex,
+  timingSafeEqual,
+} from "./utils.js";
+import config from "./config/config.js";
+
+/** 可授予的权限 */
+export const SCOPES = ["gc", "admin:read", "admin:write", "upload"];
+
+const API_KEY_PREFIX = "msk_";
+
+// 与分享元数据共用 KV 命名空间，不以 metadata: 开头，不会被 GC 扫描
+const API_KEY_KV_PREFIX = "apikey:";
+
+// 最后使用时间单独保存，更新时不回写 Key 记录，避免把请求期间被撤销的 Key 写回
+const API_KEY_USED_KV_PREFIX = "apikey-used:";
+
+// 最后使用时间的更新间隔（毫秒），避免每次请求都写 KV
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} scopes
+ * @property {string} hash - 完整 token 的 SHA-256（hex）
+ * @property {number} createdAt
+ * @property {number|null} expiresAt
+ * @property {number|null} lastUsedAt - 保存在 apikey-used:{id}，列出时合并
+ * @property {{bytes?: number, count?: number}} [quota] - 上传配额，覆盖 UPLOAD_QUOTA_* 默认值
+ */
+
+/**
+ * @typedef {Object} Principal
+ * @property {'apikey'|'secret'} type
+ * @property {string} [id] - API Key ID
+ * @property {string} name
+ * @property {string[]} scopes
+ * @property {{bytes?: number, count?: number}} [quota]
+ */
+
+function getApiKeyKVKey(id) {
+  return API_KEY_KV_PREFIX + id;
+}
+
+function getApiKeyUsedKVKey(id) {
+  return API_KEY_USED_KV_PREFIX + id;
+}
+
+/**
+ * 读取最后使用时间
+ * @param {string} id
+ * @returns {Promise<number|null>}
+ */
+async function getLastUsedAt(id) {
+  const value = await getMetadataKV().get(getApiKeyUsedKVKey(id), { type: "text", cache: false });
+  return parseInt(value, 10) || null;
+}
+
+/**
+ * 去除哈希后返回给调用方
+ * @param {ApiKeyRecord} record
+ * @returns {Omit<ApiKeyRecord, 'hash'>}
+ */
+function toPublicApiKey(record) {
+  const publicRecord = { ...record };
+  delete publicRecord.hash;
+  return publicRecord;
+}
+
+/**
+ * 匹配旧的共享密钥（常量时间比较，每个密钥都比较一次）
+ * @param {string} token
+ * @returns {Principal|null}
+ */
+function matchSecret(token) {
+  // 不回退到 GC_SECRET：只设置了 GC_SECRET 的部署不会因此获得管理权限
+  const adminSecret = config.get("ADMIN_SECRET");
+  const gcSecret = config.get("GC_SECRET");
+
+  const isAdmin = !!adminSecret && timingSafeEqual(token, adminSecret);
+  const isGC = !!gcSecret && timingSafeEqual(token, gcSecret);
+
+  if (isAdmin) {
+    return { type: "secret", name: "ADMIN_SECRET", scopes: SCOPES };
+  }
+  if (isGC) {
+    return { type: "secret", name: "GC_SECRET", scopes: ["gc"] };
+  }
+  return null;
+}
+
+/**
+ * 校验 API Key，通过时按间隔更新最后使用时间
+ * @param {string} token
+ * @returns {Promise<Principal|null>}
+ */
+async function verifyApiKey(token) {
+  if (!token.startsWith(API_KEY_PREFIX)) return null;
+  const id = token.slice(API_KEY_PREFIX.length).split(".")[0];
+  if (!id) return null;
+
+  // 跳过读缓存，撤销后立即生效
+  const kv = getMetadataKV();
+  const [record, lastUsedAt] = await Promise.all([
+    kv.get(getApiKeyKVKey(id), { type: "json", cache: false }),
+    getLastUsedAt(id),
+  ]);
+  if (!record) return null;
+
+  if (!timingSafeEqual(await sha256Hex(token), record.hash)) return null;
+  if (typeof record.expiresAt === "number" && record.expiresAt <= Date.now()) return null;
+
+  if (!lastUsedAt || Date.now() - lastUsedAt > LAST_USED_UPDATE_MS) {
+    await kv.put(getApiKeyUsedKVKey(id), String(Date.now()));
+  }
+
+  return {
+    type: "apikey",
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    quota: record.quota,
+  };
+}
+
+/**
+ * 校验请求的 Bearer Token
+ * @param {Object} request - Hono 请求对象
+ * @returns {Promise<Principal|null>}
+ */
+export async function authenticate(request) {
+  const authHeader = request.header("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+
+  const token = authHeader.slice(7); // 移除 "Bearer " 前缀
+  return matchSecret(token) || (await verifyApiKey(token));
+}
+
+/**
+ * 要求请求具有指定权限的中间件
+ * 通过后可在后续处理中使用 c.get("principal")
+ * @param {string} scope
+ * @returns {import('hono').MiddlewareHandler}
+ */
+export function requireScope(scope) {
+  return async (c, next) => {
+    c.header("Cache-Control", "no-store");
+
+    const principal = await authenticate(c.req);
+    if (!principal) {
+      return errorResponse(c, "Missing or invalid API key", 401);
+    }
+    if (!principal.scopes.includes(scope)) {
+      return errorResponse(c, `API key lacks required scope: ${scope}`, 403);
+    }
+
+    c.set("principal", principal);
+    await next();
+  };
+}
+
+/**
+ * 创建 API Key
+ * @param {{name: string, scopes: string[], expiresAt?: number|null, quota?: {bytes?: number, count?: number}}} options
+ * @returns {Promise<{token: string, apiKey: Omit<ApiKeyRecord, 'hash'>}>} token 仅在创建时返回
+ */
+export async function createApiKey({ name, scopes, expiresAt = null, quota }) {
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+  const token = `${API_KEY_PREFIX}${id}.${generateToken()}`;
+
+  /** @type {ApiKeyRecord} */
+  const record = {
+    id,
+    name,
+    scopes,
+    hash: await sha256Hex(token),
+    createdAt: Date.now(),
+    expiresAt,
+    lastUsedAt: null,
+    quota,
+  };
+  await getMetadataKV().put(getApiKeyKVKey(id), JSON.stringify(record));
+
+  return { token, apiKey: toPublicApiKey(record) };
+}
+
+/**
+ * 列出全部 API Key（不含哈希）
+ * @returns {Promise<Array<Omit<ApiKeyRecord, 'hash'>>>}
+ */
+export async function listApiKeys() {
+  const kv = getMetadataKV();
+  const apiKeys = [];
+  let cursor;
+
+  while (true) {
+    const page = await kv.list({ prefix: API_KEY_KV_PREFIX, cursor });
+    for (const { name } of page.keys || []) {
+      const record = await kv.get(name, { type: "json", cache: false });
+      if (!record) continue;
+      record.lastUsedAt = (await getLastUsedAt(record.id)) ?? record.lastUsedAt;
+      apiKeys.push(toPublicApiKey(record));
+    }
+    if (page.list_complete || !page.cursor) break;
+    cursor = page.cursor;
+  }
+
+  return apiKeys.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * 撤销 API Key
+ * @param {string} id
+ * @returns {Promise<boolean>} 不存在时返回 false
+ */
+export async function revokeApiKey(id) {
+  const kv = getMetadataKV();
+  const record = await kv.get(getApiKeyKVKey(id), { type: "json", cache: false });
+  if (!record) return false;
+  await kv.delete(getApiKeyKVKey(id));
+  await kv.delete(getApiKeyUsedKVKey(id));
+  return true;
+}
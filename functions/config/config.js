@@ -6,53 +6,417 @@
  * 1. 显式设置 (set)
  * 2. Provider 配置（EdgeKV / Worker env）
  * 3. 默认值 (setDefault)
+ *
+ * 加载后按 schema.js 校验，问题通过 getProblems 获取（不包含密钥的值）
+ *
+ * 配置按 CONFIG_TTL_SECONDS 定期重新加载，Provider 提供版本号时变化后立即重新加载；
+ * 每次加载生成新的快照，通过 run 执行的请求在整个处理期间使用同一份快照：
+ * 设置了请求级快照存储（AsyncLocalStorage）时每个请求固定自己的快照；
+ * 未设置时，有请求在执行期间新快照暂不生效，待没有进行中的请求后再替换；
+ * 推迟超过 MAX_DEFER_MS 后新请求先等待进行中的请求结束，快照生效后再开始，进行中的请求不会看到配置变化
+ */
+
+import { CONFIG_SCHEMA } from "./schema.js";
+
+/**
+ * @typedef {Object} ConfigProblem
+ * @property {string} key
+ * @property {'error'|'warning'} level
+ * @property {string} message
  */
 
 /** @type {Object<string, any>} 显式设置的值（最高优先级） */
 const overrides = {};
 
-/** @type {Object<string, any>} Provider 加载的配置 */
-let providerConfig = {};
+/**
+ * Provider 配置快照
+ * 每次重新加载生成新的冻结对象并整体替换，进行中的请求可继续使用旧快照
+ * @typedef {Object} ConfigSnapshot
+ * @property {Object<string, any>} values - 合并后的 Provider 配置
+ * @property {Array<Object<string, any>|null>} parts - 各 Provider 的加载结果（加载失败时沿用上次结果）
+ * @property {Array<any>} versions - 各 Provider 的版本号
+ * @property {number} version - 快照序号，每次生效时递增
+ */
+
+/** @type {ConfigSnapshot} */
+let snapshot = { values: {}, parts: [], versions: [], version: 0 };
+
+/** @type {ConfigSnapshot|null} 等待进行中的请求结束后生效的快照（未设置请求级快照存储时） */
+let pending = null;
+
+/** @type {number} pending 产生的时间 */
+let pendingSince = 0;
+
+/** @type {Set<{startedAt: number}>} 通过 run 执行、尚未结束的请求（未设置请求级快照存储时） */
+const activeRuns = new Set();
+
+/** @type {Array<() => void>} 等待进行中的请求全部结束的新请求 */
+const drainWaiters = [];
+
+// 未设置请求级快照存储时，新快照推迟生效超过该时间（毫秒）后，新请求等待进行中的请求结束，
+// 避免持续有请求时配置一直不更新
+const MAX_DEFER_MS = 30000;
+
+// 超过该时间（毫秒）仍未结束的请求视为已被运行时丢弃，不再阻止新快照生效
+const ABANDONED_RUN_MS = 10 * 60 * 1000;
+
+// 等待进行中的请求结束时重新检查的间隔（毫秒）
+const DRAIN_POLL_MS = 1000;
 
 /** @type {Object<string, any>} 默认值（最低优先级） */
 const defaults = {};
 
-/** @type {Array<{name: string, loader: () => Promise<Object<string, any>>}>} */
+/**
+ * @type {Array<{name: string, loader: () => Promise<Object<string, any>>, version?: () => Promise<any>}>}
+ */
 const providers = [];
 
 /** @type {boolean} */
 let loaded = false;
 
+/** @type {ConfigProblem[]} 最近一次加载的校验结果 */
+let problems = [];
+
+// 完整重新加载的默认间隔（秒），0 表示只加载一次
+const DEFAULT_TTL_SECONDS = 300;
+
+// 检查 Provider 版本号的默认间隔（秒），0 表示不检查
+const DEFAULT_VERSION_CHECK_SECONDS = 10;
+
+/** @type {number} 上次完整加载时间 */
+let loadedAt = 0;
+
+/** @type {number} 上次检查版本号时间 */
+let checkedAt = 0;
+
+/** @type {Promise<void>|null} 进行中的加载，并发请求共用 */
+let loading = null;
+
+/** @type {{run: Function, getStore: Function}|null} 请求级快照存储（AsyncLocalStorage） */
+let contextStorage = null;
+
+/** @type {Array<(changedKeys: Set<string>) => void>} */
+const listeners = [];
+
 /**
  * 注册配置 Provider
  * @param {string} name - Provider 名称
  * @param {() => Promise<Object<string, any>>} loader - 加载配置的异步函数
+ * @param {{version?: () => Promise<any>}} [options] - version 返回配置的版本号，变化时立即重新加载
  */
-export function registerProvider(name, loader) {
-  providers.push({ name, loader });
+export function registerProvider(name, loader, options = {}) {
+  providers.push({ name, loader, version: options.version });
 }
 
 /**
  * 加载配置（从所有 Provider）
- * 应在应用启动时调用一次
+ * 每个请求前调用：首次调用完整加载；之后超过 CONFIG_TTL_SECONDS 时重新加载，
+ * 或每隔 CONFIG_VERSION_CHECK_SECONDS 检查 Provider 版本号，变化时重新加载
  */
 async function load() {
-  if (loaded) return;
+  if (!loading && isRefreshDue()) {
+    loading = refresh().finally(() => (loading = null));
+  }
+  // 首次加载必须等待；之后的刷新同样等待，保证本次请求使用最新配置
+  if (loading) await loading;
+
+  // 等待中的快照推迟过久：本请求等待进行中的请求结束、快照生效后再开始
+  while (pending && countActiveRuns() > 0 && Date.now() - pendingSince >= MAX_DEFER_MS) {
+    await new Promise((resolve) => {
+      drainWaiters.push(resolve);
+      setTimeout(resolve, DRAIN_POLL_MS);
+    });
+  }
+  if (pending && countActiveRuns() === 0) commit(pending);
+}
 
-  const promises = providers.map(({ name, loader }) =>
-    loader().catch((e) => {
-      console.error(`[Config] Failed to load from provider "${name}":`, e);
-      return null; // 返回 null 以防止 Promise.all 失败
-    }),
+/**
+ * 进行中的请求数（不含已被丢弃的请求）
+ * @returns {number}
+ */
+function countActiveRuns() {
+  const now = Date.now();
+  let count = 0;
+  for (const run of activeRuns) {
+    if (now - run.startedAt < ABANDONED_RUN_MS) count++;
+  }
+  return count;
+}
+
+/**
+ * 是否需要重新加载或检查版本号
+ * @returns {boolean}
+ */
+function isRefreshDue() {
+  if (!loaded) return true;
+  const now = Date.now();
+  const ttl = getInt("CONFIG_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000;
+  if (ttl > 0 && now - loadedAt >= ttl) return true;
+  const interval = getInt("CONFIG_VERSION_CHECK_SECONDS", DEFAULT_VERSION_CHECK_SECONDS) * 1000;
+  return interval > 0 && now - checkedAt >= interval && providers.some((p) => p.version);
+}
+
+/**
+ * 读取各 Provider 的版本号（不支持或读取失败时为 null）
+ * @returns {Promise<Array<any>>}
+ */
+function readVersions() {
+  return Promise.all(
+    providers.map(({ version }) => (version ? version().catch(() => null) : null)),
+  );
+}
+
+/**
+ * 重新加载配置：TTL 未到期时仅在版本号变化时加载
+ */
+async function refresh() {
+  const now = Date.now();
+  const ttl = getInt("CONFIG_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000;
+  const versions = await readVersions();
+  checkedAt = now;
+  const latest = pending || snapshot;
+  if (loaded && !(ttl > 0 && now - loadedAt >= ttl)) {
+    const unchanged = versions.every((v, i) => v === latest.versions[i]);
+    if (unchanged) return;
+  }
+
+  const parts = await Promise.all(
+    providers.map(({ name, loader }, i) =>
+      loader().catch((e) => {
+        console.error(`[Config] Failed to load from provider "${name}":`, e);
+        // 加载失败时沿用上次的结果，避免短暂故障清空配置
+        return latest.parts[i] ?? null;
+      }),
+    ),
   );
 
-  const results = await Promise.all(promises);
-  for (const data of results) {
+  let values = {};
+  for (const data of parts) {
     if (data && typeof data === "object") {
-      providerConfig = { ...providerConfig, ...data };
+      values = { ...values, ...data };
     }
   }
+
+  const next = Object.freeze({
+    values: Object.freeze(values),
+    parts,
+    versions,
+    version: latest.version + 1,
+  });
+  loadedAt = now;
+  const firstLoad = !loaded;
   loaded = true;
+
+  const previousProblems = JSON.stringify(problems);
+  problems = validate(values);
+  if (firstLoad || JSON.stringify(problems) !== previousProblems) {
+    for (const { key, level, message } of problems) {
+      const log = level === "error" ? console.error : console.warn;
+      log(`[Config] ${level}: ${key} ${message}`);
+    }
+  }
+
+  if (firstLoad || contextStorage || countActiveRuns() === 0) {
+    commit(next);
+  } else {
+    if (!pending) pendingSince = now;
+    pending = next;
+  }
+}
+
+/**
+ * 使快照生效，有值变化时通知监听器
+ * @param {ConfigSnapshot} next
+ */
+function commit(next) {
+  const before = merge(snapshot.values);
+  const firstLoad = snapshot.version === 0;
+  snapshot = next;
+  pending = null;
+
+  if (!firstLoad) {
+    const after = merge(next.values);
+    const changed = new Set();
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changed.add(key);
+      }
+    }
+    if (changed.size > 0) {
+      // 只输出变化的 key，不输出值
+      console.log(`[Config] Reloaded, changed: ${[...changed].join(", ")}`);
+      for (const listener of listeners) {
+        listener(changed);
+      }
+    }
+  }
+}
+
+/**
+ * 监听配置变化（重新加载后有值变化时调用）
+ * @param {(changedKeys: Set<string>) => void} listener
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * 设置请求级快照存储（AsyncLocalStorage 实例）
+ * 设置后，run 内的代码在整个请求期间读取同一份快照；未设置时读取最新快照
+ * @param {{run: Function, getStore: Function}} storage
+ */
+function setContextStorage(storage) {
+  contextStorage = storage;
+}
+
+/**
+ * 在当前快照下执行 fn（用于请求中间件）
+ * 未设置请求级快照存储时记录进行中的请求，全部结束后再使等待中的快照生效
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function run(fn) {
+  if (contextStorage) return contextStorage.run(snapshot, fn);
+
+  const current = { startedAt: Date.now() };
+  activeRuns.add(current);
+  const done = () => {
+    activeRuns.delete(current);
+    if (countActiveRuns() === 0) {
+      if (pending) commit(pending);
+      for (const resolve of drainWaiters.splice(0)) resolve();
+    }
+  };
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    done();
+    throw err;
+  }
+  if (result && typeof result.then === "function") {
+    return result.then(
+      (value) => {
+        done();
+        return value;
+      },
+      (err) => {
+        done();
+        throw err;
+      },
+    );
+  }
+  done();
+  return result;
+}
+
+/**
+ * 获取当前请求使用的快照
+ * @returns {ConfigSnapshot}
+ */
+function currentSnapshot() {
+  return contextStorage?.getStore() || snapshot;
+}
+
+/**
+ * 获取当前请求使用的快照序号
+ * 用于标记按配置创建的缓存实例，旧快照上的请求不应覆盖新快照创建的实例
+ * @returns {number}
+ */
+function getVersion() {
+  return currentSnapshot().version;
+}
+
+/**
+ * 获取最新生效的快照序号
+ * @returns {number}
+ */
+function getLatestVersion() {
+  return snapshot.version;
+}
+
+/**
+ * 按 schema 校验配置
+ * 错误信息中不包含密钥的值
+ * @param {Object<string, any>} values - Provider 配置
+ * @returns {ConfigProblem[]}
+ */
+function validate(values) {
+  const result = [];
+  const getValue = (key) => lookup(values, key);
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    const value = getValue(key);
+    const required =
+      typeof field.required === "function" ? field.required(getValue) : !!field.required;
+    if (value === undefined || value === null || value === "") {
+      if (required) {
+        result.push({ key, level: "error", message: "is required but not set" });
+      }
+      continue;
+    }
+
+    const got = field.secret ? "" : ` (got ${JSON.stringify(value)})`;
+    if (field.type === "int") {
+      const num = Number(value);
+      if (!Number.isInteger(num)) {
+        result.push({ key, level: "error", message: `must be an integer${got}` });
+      } else if (field.min !== undefined && num < field.min) {
+        result.push({ key, level: "error", message: `must be at least ${field.min}${got}` });
+      }
+    } else if (field.type === "bool") {
+      if (typeof value !== "boolean" && !/^(true|false|1|0)$/i.test(String(value))) {
+        result.push({ key, level: "error", message: `must be true/false/1/0${got}` });
+      }
+    } else if (field.minLength && String(value).length < field.minLength) {
+      result.push({
+        key,
+        level: "warning",
+        message: `should be at least ${field.minLength} characters`,
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * 获取最近一次加载的校验问题
+ * @returns {ConfigProblem[]}
+ */
+function getProblems() {
+  return problems;
+}
+
+/**
+ * 是否存在校验错误（缺少必需配置或格式错误），存在时各入口拒绝服务
+ * @returns {boolean}
+ */
+function hasErrors() {
+  return problems.some((problem) => problem.level === "error");
+}
+
+/**
+ * 列出 schema 中所有配置项的生效值及来源
+ * 密钥只返回是否已设置，不返回值
+ * @returns {Array<{key: string, value?: any, set: boolean, secret: boolean, source: string, description: string}>}
+ */
+function describe() {
+  const providerConfig = currentSnapshot().values;
+  return Object.entries(CONFIG_SCHEMA).map(([key, field]) => {
+    let source = "unset";
+    if (key in overrides) source = "override";
+    else if (key in providerConfig) source = "provider";
+    else if (key in defaults) source = "default";
+    else if (field.default !== undefined) source = "schema";
+
+    const value = source === "schema" ? field.default : get(key);
+    const set = value !== undefined && value !== null && value !== "";
+    const entry = { key, set, secret: !!field.secret, source, description: field.description };
+    if (!field.secret) {
+      entry.value = value;
+    }
+    return entry;
+  });
 }
 
 /**
@@ -61,13 +425,31 @@ async function load() {
  * @returns {any}
  */
 function get(key) {
-  // 优先级：overrides > providerConfig > defaults
+  return lookup(currentSnapshot().values, key);
+}
+
+/**
+ * 按优先级查找配置值：overrides > providerConfig > defaults
+ * @param {Object<string, any>} providerConfig
+ * @param {string} key
+ * @returns {any}
+ */
+function lookup(providerConfig, key) {
   if (key in overrides) return overrides[key];
   if (key in providerConfig) return providerConfig[key];
   if (key in defaults) return defaults[key];
   return undefined;
 }
 
+/**
+ * 合并所有配置来源
+ * @param {Object<string, any>} providerConfig
+ * @returns {Object<string, any>}
+ */
+function merge(providerConfig) {
+  return { ...defaults, ...providerConfig, ...overrides };
+}
+
 /**
  * 获取字符串配置
  * @param {string} key
@@ -145,7 +527,7 @@ function setDefaults(obj) {
  * @returns {Object<string, any>}
  */
 function getAll() {
-  return { ...defaults, ...providerConfig, ...overrides };
+  return merge(currentSnapshot().values);
 }
 
 /**
@@ -153,9 +535,13 @@ function getAll() {
  */
 function reset() {
   Object.keys(overrides).forEach((k) => delete overrides[k]);
-  providerConfig = {};
+  snapshot = { values: {}, parts: [], versions: [], version: 0 };
+  pending = null;
   Object.keys(defaults).forEach((k) => delete defaults[k]);
   loaded = false;
+  loadedAt = 0;
+  checkedAt = 0;
+  problems = [];
 }
 
 export default {
@@ -168,5 +554,13 @@ export default {
   setDefault,
   setDefaults,
   getAll,
+  getProblems,
+  hasErrors,
+  describe,
+  onChange,
+  getVersion,
+  getLatestVersion,
+  setContextStorage,
+  run,
   reset,
 };
@@ -7,6 +7,8 @@ import { registerProvider } from "../config.js";
 
 const NAMESPACE = "megashare-config";
 const KEY = "env";
+// 修改 env 后更新该键的值，配置会在 CONFIG_VERSION_CHECK_SECONDS 内重新加载
+const VERSION_KEY = "version";
 
 /**
  * 从 EdgeKV 加载配置
@@ -18,9 +20,18 @@ async function loadFromEdgeKV() {
   return data || {};
 }
 
+/**
+ * 读取配置版本号
+ * @returns {Promise<string|null>}
+ */
+async function getEdgeKVVersion() {
+  const kv = new EdgeKV({ namespace: NAMESPACE });
+  return (await kv.get(VERSION_KEY, { type: "text" })) ?? null;
+}
+
 // 检测 EdgeKV 是否可用并自动注册
 if (typeof EdgeKV !== "undefined") {
-  registerProvider("edgekv", loadFromEdgeKV);
+  registerProvider("edgekv", loadFromEdgeKV, { version: getEdgeKVVersion });
 }
 
 export { loadFromEdgeKV };
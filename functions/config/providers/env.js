@@ -0,0 +1,21 @@
+/**
+ * Node.js Config Provider
+ * 从 process.env 读取配置
+ */
+
+import { registerProvider } from "../config.js";
+
+/**
+ * 从环境变量加载配置
+ * @returns {Promise<Object<string, any>>}
+ */
+async function loadFromProcessEnv() {
+  return { ...process.env };
+}
+
+// 检测 Node.js 环境并自动注册
+if (typeof process !== "undefined" && process.env) {
+  registerProvider("env", loadFromProcessEnv);
+}
+
+export { loadFromProcessEnv };
@@ -0,0 +1,161 @@
+/**
+ * 配置项 Schema
+ * 声明所有已知配置项的类型、默认值、是否必需及是否为密钥，config.load 时据此校验
+ *
+ * 默认值需与读取处传入的默认值保持一致，此处仅用于诊断和展示
+ */
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {'string'|'int'|'bool'} type
+ * @property {any} [default] - 默认值
+ * @property {boolean|((get: (key: string) => any) => boolean)} [required] - 是否必需，可依赖其他配置
+ * @property {boolean} [secret] - 是否为密钥（诊断和接口输出时隐藏）
+ * @property {number} [min] - 整数最小值
+ * @property {number} [minLength] - 字符串建议的最小长度（不足时给出警告）
+ * @property {string} description
+ */
+
+// 未设置 STORAGE_BACKEND 时 ESA 入口默认使用 s3
+const usesBackend = (name) => (get) => (get("STORAGE_BACKEND") || "s3") === name;
+
+/** @type {Object<string, ConfigField>} */
+export const CONFIG_SCHEMA = {
+  // --- 配置加载 ---
+  CONFIG_TTL_SECONDS: {
+    type: "int",
+    default: 300,
+    min: 0,
+    description: "配置完整重新加载的间隔，0 为只加载一次",
+  },
+  CONFIG_VERSION_CHECK_SECONDS: {
+    type: "int",
+    default: 10,
+    min: 0,
+    description: "检查配置版本号的间隔，版本变化时立即重新加载",
+  },
+
+  // --- 安全 ---
+  UPLOAD_SECRET: {
+    type: "string",
+    required: true,
+    secret: true,
+    minLength: 16,
+    description: "上传令牌和下载会话的 HMAC 签名密钥",
+  },
+  GC_SECRET: {
+    type: "string",
+    secret: true,
+    minLength: 16,
+    description: "只有 gc 权限的共享密钥（POST /api/gc），也可改用 API Key",
+  },
+  ADMIN_SECRET: {
+    type: "string",
+    secret: true,
+    minLength: 16,
+    description: "拥有全部权限的共享密钥，用于创建 API Key；未设置时只能使用 API Key 访问管理接口",
+  },
+
+  // --- 上传鉴权 ---
+  UPLOAD_AUTH_REQUIRED: {
+    type: "bool",
+    default: false,
+    description: "开始上传是否需要凭证（邀请码、upload 权限的 API Key 或 JWT）",
+  },
+  UPLOAD_INVITE_CODES: { type: "string", secret: true, description: "邀请码，逗号分隔" },
+  UPLOAD_JWT_SECRET: { type: "string", secret: true, description: "验证 HS* JWT 的共享密钥" },
+  UPLOAD_JWT_JWKS: { type: "string", description: "验证 RS* / ES* JWT 的 JWKS（JSON 字符串）" },
+  UPLOAD_JWT_ISSUER: { type: "string", description: "要求 JWT 的 iss 等于该值" },
+  UPLOAD_JWT_AUDIENCE: { type: "string", description: "要求 JWT 的 aud 包含该值" },
+  UPLOAD_QUOTA_BYTES: {
+    type: "int",
+    default: 0,
+    min: 0,
+    description: "每个凭证在配额窗口内的上传字节数上限，0 为不限制",
+  },
+  UPLOAD_QUOTA_COUNT: {
+    type: "int",
+    default: 0,
+    min: 0,
+    description: "每个凭证在配额窗口内的上传次数上限，0 为不限制",
+  },
+  UPLOAD_QUOTA_WINDOW_HOURS: { type: "int", default: 24, min: 1, description: "配额窗口（小时）" },
+
+  // --- 上传与分享 ---
+  MAX_FILE_SIZE: {
+    type: "int",
+    default: 20 * 1024 * 1024 * 1024,
+    min: 1,
+    description: "单次分享的最大字节数",
+  },
+  CHUNK_SIZE: { type: "int", default: 64 * 1024 * 1024, min: 1024 * 1024, description: "分片大小" },
+  UPLOAD_CONCURRENCY: { type: "int", default: 3, min: 1, description: "客户端并发上传分片数" },
+  MAX_EXPIRY_HOURS: { type: "int", default: 7 * 24, min: 1, description: "最长有效期（小时）" },
+  DEFAULT_EXPIRY_HOURS: { type: "int", default: 24, min: 1, description: "默认有效期（小时）" },
+
+  // --- GC ---
+  GC_EXPIRY_DAYS: {
+    type: "int",
+    default: 7,
+    min: 1,
+    description: "旧数据（无 expiresAt）的过期天数",
+  },
+  GC_ORPHAN_GRACE_HOURS: {
+    type: "int",
+    default: 48,
+    min: 1,
+    description: "未完成上传的清理宽限时间（小时），清理文件夹时不短于 MAX_EXPIRY_HOURS",
+  },
+  GC_TIME_BUDGET_MS: { type: "int", default: 20000, min: 1000, description: "单次 GC 的时间预算" },
+
+  // --- KV ---
+  KV_BACKEND: { type: "string", description: "元数据 KV 适配器，未设置时使用第一个注册的适配器" },
+  KV_CACHE_TTL_MS: { type: "int", default: 0, min: 0, description: "元数据读缓存 TTL，0 为关闭" },
+  KV_CACHE_MAX_ENTRIES: { type: "int", default: 1000, min: 1, description: "读缓存最大条目数" },
+  KV_DATA_DIR: { type: "string", description: "memory 适配器的持久化目录（Node.js）" },
+  SQLITE_PATH: {
+    type: "string",
+    required: (get) => get("KV_BACKEND") === "sqlite",
+    description: "sqlite 适配器的数据库文件（Node.js），设置后默认使用 sqlite 适配器",
+  },
+
+  // --- 存储 ---
+  STORAGE_BACKEND: { type: "string", description: "存储后端：s3 / r2 / fs" },
+  S3_ENDPOINT: { type: "string", required: usesBackend("s3"), description: "S3 兼容存储地址" },
+  S3_BUCKET: { type: "string", required: usesBackend("s3"), description: "存储桶名称" },
+  S3_ACCESS_KEY_ID: {
+    type: "string",
+    required: usesBackend("s3"),
+    secret: true,
+    description: "S3 Access Key ID",
+  },
+  S3_ACCESS_KEY_SECRET: {
+    type: "string",
+    required: usesBackend("s3"),
+    secret: true,
+    description: "S3 Access Key Secret",
+  },
+  S3_REGION: { type: "string", default: "us-east-1", description: "S3 区域" },
+  S3_PREFIX: { type: "string", default: "megashare/", description: "对象 key 前缀" },
+  S3_PART_SIZE: {
+    type: "int",
+    default: 0,
+    min: 0,
+    description: "multipart 上传的 part 大小（最小 5MB），0 为不使用；开启前需在 CORS 中暴露 ETag",
+  },
+  S3_SUPPORTS_DIRECT_URL: { type: "bool", default: true, description: "是否使用预签名直链下载" },
+  S3_SUPPORTS_DIRECT_UPLOAD: { type: "bool", default: true, description: "是否使用预签名直传" },
+  R2_BINDING: { type: "string", default: "R2_BUCKET", description: "R2 bucket binding 名称" },
+  R2_PREFIX: { type: "string", default: "megashare/", description: "R2 对象 key 前缀" },
+  R2_ACCOUNT_ID: { type: "string", description: "R2 S3 API 账户 ID（可选，用于预签名）" },
+  R2_ACCESS_KEY_ID: { type: "string", secret: true, description: "R2 S3 API Access Key ID" },
+  R2_SECRET_ACCESS_KEY: { type: "string", secret: true, description: "R2 S3 API Secret" },
+  R2_BUCKET_NAME: { type: "string", description: "R2 存储桶名称（预签名用）" },
+  R2_SUPPORTS_DIRECT_URL: { type: "bool", default: true, description: "是否使用预签名直链下载" },
+  R2_SUPPORTS_DIRECT_UPLOAD: { type: "bool", default: true, description: "是否使用预签名直传" },
+  FS_STORAGE_DIR: {
+    type: "string",
+    default: "./data/storage",
+    description: "fs 后端的分片目录（Node.js）",
+  },
+};
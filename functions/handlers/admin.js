@@ -0,0 +1,486 @@
+/**
+ * Admin handler for ESA Edge Function
+ * 运维管理接口，鉴权由路由上的 requireScope 中间件完成（admin:read / admin:write）
+ *
+ * 管理接口只读取和返回元数据中的明文字段（大小、分片数、有效期等），
+ * 文件名和文件清单为端到端加密内容，服务端无法获取
+ */
+
+import {
+  errorResponse,
+  getMetadataKV,
+  getMetadataKey,
+  getDownloadCountKey,
+  getBlockedKey,
+  getShareBlock,
+  isShareExpired,
+} from "../utils.js";
+import config from "../config/config.js";
+import { SCOPES, createApiKey, listApiKeys, revokeApiKey } from "../auth.js";
+import { createStorageBackend } from "../storage/storage.js";
+import { deleteShare, listStoredFile, parseFileIdTimestamp } from "./gc.js";
+
+// 分享列表每页默认和最大条数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// 统计接口的扫描时间预算（毫秒），分享过多时返回已扫描部分的统计
+const STATS_TIME_BUDGET_MS = 10000;
+
+// 按天统计分享数的天数
+const STATS_DAYS = 30;
+
+// 剩余有效期不足该时间（毫秒）的分享列为即将过期
+const EXPIRING_SOON_MS = 24 * 60 * 60 * 1000;
+const EXPIRING_SOON_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ShareSummary
+ * @property {string} fileId
+ * @property {number|null} size - 加密前的总字节数
+ * @property {number|null} createdAt
+ * @property {number|null} totalChunks
+ * @property {number|null} expiresAt
+ * @property {number|null} maxDownloads
+ * @property {boolean} burnAfterRead
+ * @property {number|null} downloadCount - 仅限制下载次数的分享记录下载计数
+ * @property {boolean} expired
+ * @property {{at: number, reason?: string}|null} blocked
+ */
+
+/**
+ * 从元数据中提取明文字段
+ * @param {string} fileId
+ * @param {{metadata: object, downloadCount: number|null, block: object|null}} share - loadShare 的结果
+ * @returns {ShareSummary}
+ */
+function toShareSummary(fileId, { metadata, downloadCount, block }) {
+  return {
+    fileId,
+    size: metadata.size ?? null,
+    createdAt: metadata.createdAt || parseFileIdTimestamp(fileId),
+    totalChunks: metadata.totalChunks ?? null,
+    expiresAt: metadata.expiresAt ?? null,
+    maxDownloads: metadata.maxDownloads ?? null,
+    burnAfterRead: !!metadata.burnAfterRead,
+    downloadCount,
+    expired: isShareExpired(metadata),
+    blocked: block || null,
+  };
+}
+
+/**
+ * 读取分享元数据、下载计数和屏蔽记录（跳过读缓存）
+ * @param {string} fileId
+ * @returns {Promise<{metadata: object, downloadCount: number|null, block: object|null}|null>}
+ */
+async function loadShare(fileId) {
+  const kv = getMetadataKV();
+  const [metadata, block] = await Promise.all([
+    kv.get(getMetadataKey(fileId), { type: "json", cache: false }),
+    getShareBlock(fileId, { cache: false }),
+  ]);
+  if (!metadata) return null;
+
+  let downloadCount = null;
+  if (typeof metadata.maxDownloads === "number") {
+    const count = await kv.get(getDownloadCountKey(fileId), { type: "text", cache: false });
+    downloadCount = parseInt(count, 10) || 0;
+  }
+  return { metadata, downloadCount, block };
+}
+
+/**
+ * 检查存储后端：分页列出文件夹并统计实际占用，超出截止时间时停止
+ * latencyMs 为列出第一页的耗时
+ * @param {number} deadline - 截止时间（毫秒时间戳）
+ * @returns {Promise<{healthy: boolean, latencyMs: number, folders?: number, bytes?: number, complete?: boolean, error?: string}>}
+ */
+async function checkStorage(deadline) {
+  const startedAt = Date.now();
+  let latencyMs;
+  try {
+    const storage = await createStorageBackend();
+    let folders = 0;
+    let bytes = 0;
+    let cursor;
+
+    while (true) {
+      const page = await storage.listFolders({ cursor });
+      latencyMs ??= Date.now() - startedAt;
+
+      for (let i = 0; i < page.items.length; i += MAX_PAGE_SIZE) {
+        if (Date.now() > deadline) {
+          return { healthy: true, latencyMs, folders, bytes, complete: false };
+        }
+        const batch = page.items.slice(i, i + MAX_PAGE_SIZE);
+        const sizes = await Promise.all(
+          batch.map(
+            async (folder) => (await listStoredFile({ folderId: folder.fileId }, storage)).bytes,
+          ),
+        );
+        folders += batch.length;
+        bytes += sizes.reduce((sum, size) => sum + size, 0);
+      }
+
+      if (!page.cursor) break;
+      cursor = page.cursor;
+    }
+    return { healthy: true, latencyMs, folders, bytes, complete: true };
+  } catch (err) {
+    return { healthy: false, latencyMs: latencyMs ?? Date.now() - startedAt, error: err.message };
+  }
+}
+
+/**
+ * 扫描全部分享元数据，超出截止时间时停止
+ * @param {(share: ShareSummary) => void} visit
+ * @param {number} deadline - 截止时间（毫秒时间戳）
+ * @returns {Promise<boolean>} 是否扫描完毕
+ */
+async function scanShares(visit, deadline) {
+  const kv = getMetadataKV();
+  let cursor;
+
+  while (true) {
+    const page = await kv.list({ prefix: "metadata:", cursor });
+    const keys = page.keys || [];
+
+    for (let i = 0; i < keys.length; i += MAX_PAGE_SIZE) {
+      if (Date.now() > deadline) return false;
+      const shares = await Promise.all(
+        keys.slice(i, i + MAX_PAGE_SIZE).map(async ({ name }) => {
+          const fileId = name.replace("metadata:", "");
+          const share = await loadShare(fileId);
+          return share && toShareSummary(fileId, share);
+        }),
+      );
+      shares.filter(Boolean).forEach(visit);
+    }
+
+    if (page.list_complete || !page.cursor) return true;
+    cursor = page.cursor;
+  }
+}
+
+/**
+ * 获取生效配置和校验问题（不包含密钥的值）
+ * GET /api/admin/config
+ *
+ * Response:
+ *   { config: [{ key, value?, set, secret, source, description }], problems: [{ key, level, message }] }
+ *   source 为 override / provider / default / schema（schema 声明的默认值）/ unset
+ */
+export async function handleGetAdminConfig(c) {
+  return c.json({
+    config: config.describe(),
+    problems: config.getProblems(),
+  });
+}
+
+/**
+ * 汇总统计：分享数量与大小、每日新增、即将过期的分享、存储状态
+ * GET /api/admin/stats
+ *
+ * Response:
+ *   {
+ *     shares: { total, bytes, blocked, expired },
+ *     perDay: [{ date, count, bytes }],
+ *     expiringSoon: ShareSummary[],
+ *     storage: { healthy, latencyMs, folders?, bytes?, error? },
+ *     problems: [{ key, level, message }],
+ *     complete
+ *   }
+ *   perDay 为最近 30 天（UTC 日期，升序）；bytes 为加密前大小，storage.bytes 为存储实际占用
+ *   complete 为 false 表示分享过多未能在时间预算内扫描完，统计仅包含已扫描部分
+ */
+export async function handleGetStats(c) {
+  const now = Date.now();
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const firstDay = today - (STATS_DAYS - 1) * DAY_MS;
+
+  const perDay = Array.from({ length: STATS_DAYS }, (_, i) => ({
+    date: new Date(firstDay + i * DAY_MS).toISOString().slice(0, 10),
+    count: 0,
+    bytes: 0,
+  }));
+  const totals = { total: 0, bytes: 0, blocked: 0, expired: 0 };
+  const expiringSoon = [];
+
+  const deadline = Date.now() + STATS_TIME_BUDGET_MS;
+  const [complete, storage] = await Promise.all([
+    scanShares((share) => {
+      totals.total++;
+      totals.bytes += share.size || 0;
+      if (share.blocked) totals.blocked++;
+      if (share.expired) totals.expired++;
+
+      if (share.createdAt >= firstDay) {
+        const day = perDay[Math.floor((share.createdAt - firstDay) / DAY_MS)];
+        if (day) {
+          day.count++;
+          day.bytes += share.size || 0;
+        }
+      }
+
+      if (!share.expired && share.expiresAt && share.expiresAt - now < EXPIRING_SOON_MS) {
+        expiringSoon.push(share);
+      }
+    }, deadline),
+    checkStorage(deadline),
+  ]);
+
+  expiringSoon.sort((a, b) => a.expiresAt - b.expiresAt);
+
+  return c.json({
+    shares: totals,
+    perDay,
+    expiringSoon: expiringSoon.slice(0, EXPIRING_SOON_LIMIT),
+    storage,
+    problems: config.getProblems(),
+    complete,
+  });
+}
+
+/**
+ * 分页列出分享
+ * GET /api/admin/shares?cursor=<cursor>&limit=<n>
+ *
+ * Response:
+ *   { shares: ShareSummary[], cursor, done }
+ *   done 为 false 时，以返回的 cursor 获取下一页
+ *   fileId 取自 KV key（{timestamp}-{random}），与分享链接中的形式不同，但同样可用于其他管理接口
+ */
+export async function handleListShares(c) {
+  const limit = Math.min(
+    Math.max(parseInt(c.req.query("limit"), 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+
+  const kv = getMetadataKV();
+  const page = await kv.list({ prefix: "metadata:", cursor: c.req.query("cursor"), limit });
+
+  const shares = await Promise.all(
+    page.keys.map(async ({ name }) => {
+      const fileId = name.replace("metadata:", "");
+      const share = await loadShare(fileId);
+      return share && toShareSummary(fileId, share);
+    }),
+  );
+
+  return c.json({
+    // 列出与读取之间被删除的分享返回 null，直接跳过
+    shares: shares.filter(Boolean),
+    cursor: page.list_complete ? null : page.cursor,
+    done: !!page.list_complete,
+  });
+}
+
+/**
+ * 获取分享详情及存储对象状态
+ * GET /api/admin/shares/:id
+ *
+ * Response:
+ *   { share: ShareSummary, chunks: [{ index, fileId, exists, size }], storage: { objects, bytes, missing, extra } }
+ *   missing 为元数据引用但存储中不存在的分片数，extra 为存储中存在但未被引用的对象数
+ */
+export async function handleGetShare(c) {
+  const fileId = c.req.param("id");
+  const share = await loadShare(fileId);
+  if (!share) {
+    return errorResponse(c, "File not found", 404);
+  }
+
+  const storage = await createStorageBackend();
+  const { items, bytes } = await listStoredFile(share.metadata, storage);
+  const stored = new Map(items.map((item) => [item.fileId, item]));
+
+  const chunks = (share.metadata.chunkIds || []).map((chunk) => {
+    const item = stored.get(chunk.fileId);
+    stored.delete(chunk.fileId);
+    return {
+      index: chunk.index,
+      fileId: chunk.fileId,
+      exists: !!item,
+      size: item ? item.size : null,
+    };
+  });
+
+  return c.json({
+    share: toShareSummary(fileId, share),
+    chunks,
+    storage: {
+      objects: items.length,
+      bytes,
+      missing: chunks.filter((chunk) => !chunk.exists).length,
+      extra: stored.size,
+    },
+  });
+}
+
+/**
+ * 强制删除分享（无需 manageToken）
+ * DELETE /api/admin/shares/:id
+ *
+ * Response:
+ *   { success, fileId, reclaimedBytes }
+ */
+export async function handleDeleteShare(c) {
+  const fileId = c.req.param("id");
+  const share = await loadShare(fileId);
+  if (!share) {
+    return errorResponse(c, "File not found", 404);
+  }
+
+  const storage = await createStorageBackend();
+  const reclaimedBytes = await deleteShare(fileId, share.metadata, storage);
+  console.log(`[Admin] Deleted share ${fileId}`);
+
+  return c.json({ success: true, fileId, reclaimedBytes });
+}
+
+/**
+ * 屏蔽分享：保留数据，但拒绝获取元数据和下载分片
+ * 屏蔽记录保存在独立的 blocked: key 中，删除分享时一并清理
+ * PUT /api/admin/shares/:id/block
+ *
+ * Request:
+ *   { reason?: string }
+ *
+ * Response:
+ *   { success, fileId, blocked: { at, reason? } }
+ */
+export async function handleBlockShare(c) {
+  const fileId = c.req.param("id");
+  const body = await c.req.json().catch(() => ({}));
+
+  const kv = getMetadataKV();
+  const metadata = await kv.get(getMetadataKey(fileId), { type: "json", cache: false });
+  if (!metadata) {
+    return errorResponse(c, "File not found", 404);
+  }
+
+  const blocked = { at: Date.now() };
+  if (typeof body.reason === "string" && body.reason) {
+    blocked.reason = body.reason.slice(0, 500);
+  }
+  await kv.put(getBlockedKey(fileId), JSON.stringify(blocked));
+  console.log(`[Admin] Blocked share ${fileId}`);
+
+  return c.json({ success: true, fileId, blocked });
+}
+
+/**
+ * 解除屏蔽
+ * DELETE /api/admin/shares/:id/block
+ *
+ * Response:
+ *   { success, fileId }
+ */
+export async function handleUnblockShare(c) {
+  const fileId = c.req.param("id");
+
+  const kv = getMetadataKV();
+  const [metadata, block] = await Promise.all([
+    kv.get(getMetadataKey(fileId), { type: "json", cache: false }),
+    getShareBlock(fileId, { cache: false }),
+  ]);
+  if (!metadata) {
+    return errorResponse(c, "File not found", 404);
+  }
+
+  if (block) {
+    await kv.delete(getBlockedKey(fileId));
+    console.log(`[Admin] Unblocked share ${fileId}`);
+  }
+
+  return c.json({ success: true, fileId });
+}
+
+/**
+ * 列出 API Key（不含哈希）
+ * GET /api/admin/keys
+ *
+ * Response:
+ *   { keys: [{ id, name, scopes, createdAt, expiresAt, lastUsedAt }] }
+ */
+export async function handleListApiKeys(c) {
+  return c.json({ keys: await listApiKeys() });
+}
+
+/**
+ * 创建 API Key，只能授予调用方自身拥有的权限
+ * POST /api/admin/keys
+ *
+ * Request:
+ *   { name: string, scopes: string[], expiresIn?: number, quota?: { bytes?: number, count?: number } }
+ *   expiresIn 为有效期（秒），不传则永久有效
+ *   quota 为 upload 权限的上传配额（每个 UPLOAD_QUOTA_WINDOW_HOURS 窗口），不传使用 UPLOAD_QUOTA_* 配置，0 为不限制
+ *
+ * Response:
+ *   { key, apiKey: { id, name, scopes, createdAt, expiresAt, lastUsedAt } }
+ *   key 仅返回这一次，服务端只保存其哈希
+ */
+export async function handleCreateApiKey(c) {
+  const { name, scopes, expiresIn, quota } = await c.req.json().catch(() => ({}));
+
+  if (typeof name !== "string" || !name.trim()) {
+    return errorResponse(c, "Missing name", 400);
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return errorResponse(c, "Missing scopes", 400);
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return errorResponse(c, `Unknown scopes: ${unknown.join(", ")}`, 400);
+  }
+  if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+    return errorResponse(c, "expiresIn must be a positive integer (seconds)", 400);
+  }
+  if (
+    quota !== undefined &&
+    (typeof quota !== "object" ||
+      quota === null ||
+      !["bytes", "count"].every(
+        (field) =>
+          quota[field] === undefined || (Number.isInteger(quota[field]) && quota[field] >= 0),
+      ))
+  ) {
+    return errorResponse(c, "quota.bytes and quota.count must be non-negative integers", 400);
+  }
+
+  const principal = c.get("principal");
+  const missing = scopes.filter((scope) => !principal.scopes.includes(scope));
+  if (missing.length > 0) {
+    return errorResponse(c, `Cannot grant scopes you do not hold: ${missing.join(", ")}`, 403);
+  }
+
+  const { token, apiKey } = await createApiKey({
+    name: name.trim().slice(0, 100),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    quota: quota && { bytes: quota.bytes, count: quota.count },
+  });
+  console.log(`[Admin] Created API key ${apiKey.id} (${apiKey.name}) by ${principal.name}`);
+
+  return c.json({ key: token, apiKey });
+}
+
+/**
+ * 撤销 API Key
+ * DELETE /api/admin/keys/:id
+ *
+ * Response:
+ *   { success, id }
+ */
+export async function handleRevokeApiKey(c) {
+  const id = c.req.param("id");
+  if (!(await revokeApiKey(id))) {
+    return errorResponse(c, "API key not found", 404);
+  }
+  console.log(`[Admin] Revoked API key ${id}`);
+
+  return c.json({ success: true, id });
+}
@@ -3,23 +3,39 @@
  * 提供客户端配置信息
  */
 
-import { getChunkSize, getMaxFileSize } from "../utils.js";
+import {
+  getChunkSize,
+  getMaxFileSize,
+  getUploadConcurrency,
+  getMaxExpirySeconds,
+  getDefaultExpirySeconds,
+} from "../utils.js";
 import { createStorageBackend } from "../storage/storage.js";
+import { getUploadAuthMethods, isUploadAuthRequired } from "../uploadauth.js";
 
 /**
  * 获取客户端配置
  * GET /api/config
  *
  * Response:
- *   { supportsDirectUrl, supportsDirectUpload, chunkSize, maxFileSize }
+ *   { supportsDirectUrl, supportsDirectUpload, chunkSize, maxFileSize, maxExpiry, defaultExpiry,
+ *     uploadConcurrency, uploadAuthRequired, uploadAuthMethods? }
+ *   maxExpiry / defaultExpiry 单位为秒，uploadConcurrency 为同时上传的分片数
+ *   uploadAuthRequired 为 true 时开始上传需要凭证，uploadAuthMethods 为可用的凭证类型
  */
 export async function handleGetConfig(c) {
   const storage = await createStorageBackend();
+  const uploadAuthRequired = isUploadAuthRequired();
 
   return c.json({
     supportsDirectUrl: storage.supportsDirectUrl,
     supportsDirectUpload: storage.supportsDirectUpload,
     chunkSize: getChunkSize(),
     maxFileSize: getMaxFileSize(),
+    maxExpiry: getMaxExpirySeconds(),
+    defaultExpiry: getDefaultExpirySeconds(),
+    uploadConcurrency: getUploadConcurrency(),
+    uploadAuthRequired,
+    uploadAuthMethods: uploadAuthRequired ? getUploadAuthMethods() : undefined,
   });
 }
@@ -2,12 +2,58 @@
  * File handlers for ESA Edge Function
  */
 
-import { errorResponse, getMetadataKV, getMetadataKey } from "../utils.js";
+import {
+  errorResponse,
+  getMetadataKV,
+  getMetadataKey,
+  getDownloadCountKey,
+  isShareExpired,
+  getShareBlock,
+  signDownloadSession,
+  verifyDownloadSession,
+  sha256Hex,
+  timingSafeEqual,
+} from "../utils.js";
 import { createStorageBackend } from "../storage/storage.js";
+import { deleteShare } from "./gc.js";
+
+/**
+ * 读取下载计数
+ * @param {string} fileId
+ * @returns {Promise<number>}
+ */
+async function getDownloadCount(fileId) {
+  const kv = getMetadataKV();
+  const count = await kv.get(getDownloadCountKey(fileId), { type: "text", cache: false });
+  return parseInt(count, 10) || 0;
+}
+
+/**
+ * 判断分享是否已达到下载次数上限
+ * @param {object} metadata
+ * @param {number} downloadCount
+ * @returns {boolean}
+ */
+function isDownloadLimitReached(metadata, downloadCount) {
+  return typeof metadata.maxDownloads === "number" && downloadCount >= metadata.maxDownloads;
+}
+
+/**
+ * 去除仅服务端使用的字段后返回给客户端
+ * @param {object} metadata
+ * @returns {object}
+ */
+function toPublicMetadata(metadata) {
+  const publicMetadata = { ...metadata };
+  delete publicMetadata.manageTokenHash;
+  return publicMetadata;
+}
 
 /**
  * 获取文件元数据
- * GET /api/file/:id
+ * GET /api/file/:id[?session=<sessionToken>]
+ *
+ * 下载次数已用完时，持有有效下载会话的客户端仍可获取元数据以继续未完成的下载
  */
 export async function handleGetFile(c) {
   const fileId = c.req.param("id");
@@ -16,14 +62,150 @@ export async function handleGetFile(c) {
   }
 
   // 从 KV 获取元数据
+  const kv = getMetadataKV();
+  const [metadata, block] = await Promise.all([
+    kv.get(getMetadataKey(fileId), { type: "json" }),
+    getShareBlock(fileId),
+  ]);
+  if (!metadata) {
+    return errorResponse(c, "File not found", 404);
+  }
+  if (isShareExpired(metadata)) {
+    return errorResponse(c, "File expired", 410);
+  }
+  if (block) {
+    return errorResponse(c, "File has been blocked", 451);
+  }
+
+  // 限制下载次数的分享：计数随下载变化，不允许缓存
+  if (typeof metadata.maxDownloads === "number") {
+    const downloadCount = await getDownloadCount(fileId);
+    if (
+      isDownloadLimitReached(metadata, downloadCount) &&
+      !(await verifyDownloadSession(fileId, c.req.query("session")))
+    ) {
+      return errorResponse(c, "Download limit reached", 410);
+    }
+    c.header("Cache-Control", "no-store");
+    return c.json({ metadata: toPublicMetadata(metadata), downloadCount });
+  }
+
+  c.header("Cache-Control", `public, max-age=${getCacheMaxAge(metadata, 3600)}`);
+  return c.json({ metadata: toPublicMetadata(metadata) });
+}
+
+/**
+ * 撤销分享：删除分片和元数据
+ * DELETE /api/file/:id
+ *
+ * Headers:
+ *   Authorization: Bearer <manageToken>
+ */
+export async function handleDeleteFile(c) {
+  const fileId = c.req.param("id");
+  if (!fileId) {
+    return errorResponse(c, "Missing fileId", 400);
+  }
+
+  const authHeader = c.req.header("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return errorResponse(c, "Missing or invalid Authorization header", 401);
+  }
+
   const kv = getMetadataKV();
   const metadata = await kv.get(getMetadataKey(fileId), { type: "json" });
   if (!metadata) {
     return errorResponse(c, "File not found", 404);
   }
 
-  c.header("Cache-Control", "public, max-age=3600");
-  return c.json({ metadata });
+  const tokenHash = await sha256Hex(authHeader.slice(7));
+  if (!metadata.manageTokenHash || !timingSafeEqual(tokenHash, metadata.manageTokenHash)) {
+    return errorResponse(c, "Invalid manage token", 403);
+  }
+
+  const storage = await createStorageBackend();
+  await deleteShare(fileId, metadata, storage);
+
+  return c.json({ success: true, fileId });
+}
+
+/**
+ * 开始下载会话（仅限制下载次数的分享需要）
+ * POST /api/file/:id/session
+ *
+ * 每个会话计一次下载，达到上限后拒绝新会话
+ * 注意：KV 不支持原子自增，高并发下计数可能存在少量偏差
+ *
+ * Response:
+ *   { sessionToken, remaining }
+ */
+export async function handleStartDownload(c) {
+  const fileId = c.req.param("id");
+  if (!fileId) {
+    return errorResponse(c, "Missing fileId", 400);
+  }
+
+  const kv = getMetadataKV();
+  const [metadata, block] = await Promise.all([
+    kv.get(getMetadataKey(fileId), { type: "json" }),
+    getShareBlock(fileId),
+  ]);
+  if (!metadata) {
+    return errorResponse(c, "File not found", 404);
+  }
+  if (isShareExpired(metadata)) {
+    return errorResponse(c, "File expired", 410);
+  }
+  if (block) {
+    return errorResponse(c, "File has been blocked", 451);
+  }
+  if (typeof metadata.maxDownloads !== "number") {
+    return errorResponse(c, "Download session not required for this file", 400);
+  }
+
+  const downloadCount = await getDownloadCount(fileId);
+  if (isDownloadLimitReached(metadata, downloadCount)) {
+    return errorResponse(c, "Download limit reached", 410);
+  }
+
+  await kv.put(getDownloadCountKey(fileId), String(downloadCount + 1));
+  const sessionToken = await signDownloadSession(fileId);
+
+  c.header("Cache-Control", "no-store");
+  return c.json({ sessionToken, remaining: metadata.maxDownloads - downloadCount - 1 });
+}
+
+/**
+ * 计算缓存时间（秒），不超过分享剩余有效期，避免 CDN 在过期后继续提供内容
+ * @param {object} metadata
+ * @param {number} maxAge - 无有效期时使用的缓存时间
+ * @returns {number}
+ */
+function getCacheMaxAge(metadata, maxAge) {
+  if (typeof metadata.expiresAt !== "number") return maxAge;
+  const remaining = Math.floor((metadata.expiresAt - Date.now()) / 1000);
+  return Math.max(0, Math.min(maxAge, remaining));
+}
+
+/**
+ * 解析 Range 头，仅支持单个字节范围，其他格式按规范忽略（返回完整内容）
+ * @param {string} [range]
+ * @returns {string|undefined}
+ */
+function parseRangeHeader(range) {
+  if (!range || !/^bytes=(\d+-\d*|-\d+)$/.test(range.trim())) return undefined;
+  return range.trim();
+}
+
+/**
+ * 判断响应是否包含对象的最后一个字节（完整响应或范围到达末尾）
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function reachesEnd(response) {
+  if (response.status !== 206) return true;
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(response.headers.get("Content-Range") || "");
+  return !!match && parseInt(match[2], 10) === parseInt(match[3], 10) - 1;
 }
 
 /**
@@ -49,7 +231,9 @@ async function getChunkInfo(fileId, chunkIndex) {
  * GET /api/file/:id/chunk/:chunkIndex
  *
  * - 直链模式：返回 302 重定向到实际下载 URL
- * - 转发模式：流式返回内容
+ * - 转发模式：流式返回内容，支持 Range/If-Range（断点续传时只重新获取缺失部分）
+ * - 限制下载次数的分享需携带 ?session=<sessionToken>
+ * - 阅后即焚分享始终走转发模式，最后一个分片传输完成后删除整个分享
  */
 export async function handleGetChunk(c) {
   const fileId = c.req.param("id");
@@ -59,25 +243,85 @@ export async function handleGetChunk(c) {
     return errorResponse(c, "Missing fileId or chunkIndex", 400);
   }
 
-  const chunkInfo = await getChunkInfo(fileId, chunkIndex);
+  const [chunkInfo, block] = await Promise.all([
+    getChunkInfo(fileId, chunkIndex),
+    getShareBlock(fileId),
+  ]);
   if (!chunkInfo || !chunkInfo.chunk) {
     return errorResponse(c, `Chunk ${chunkIndex} not found`, 404);
   }
-  const { chunk } = chunkInfo;
+  const { chunk, metadata } = chunkInfo;
+  if (isShareExpired(metadata)) {
+    return errorResponse(c, "File expired", 410);
+  }
+  if (block) {
+    return errorResponse(c, "File has been blocked", 451);
+  }
+
+  const limited = typeof metadata.maxDownloads === "number";
+  if (limited) {
+    const sessionValid = await verifyDownloadSession(fileId, c.req.query("session"));
+    if (!sessionValid) {
+      return errorResponse(c, "Unauthorized: Invalid download session", 403);
+    }
+  }
+
   const storage = await createStorageBackend();
-  if (storage.supportsDirectUrl) {
+  if (storage.supportsDirectUrl && !metadata.burnAfterRead) {
     // 直链模式：302 重定向
     const downloadUrl = await storage.getDownloadUrl(chunk.fileId);
     return c.redirect(downloadUrl);
   }
 
   // 转发模式：流式返回内容
-  const response = await storage.streamFile(chunk.fileId);
+  let response;
+  try {
+    response = await storage.streamFile(chunk.fileId, {
+      range: parseRangeHeader(c.req.header("Range")),
+      ifRange: c.req.header("If-Range"),
+    });
+  } catch (err) {
+    if (err.name === "InvalidRange" || err.$metadata?.httpStatusCode === 416) {
+      return errorResponse(c, "Range Not Satisfiable", 416);
+    }
+    throw err;
+  }
   const headers = new Headers(response.headers);
   headers.set("Access-Control-Allow-Origin", "*");
-  // set cache
-  const ONE_YEAR_IN_SECONDS = 31536000;
-  headers.set("Cache-Control", `public, max-age=${ONE_YEAR_IN_SECONDS}`);
-  headers.set("Expires", new Date(Date.now() + ONE_YEAR_IN_SECONDS * 1000).toUTCString());
+  headers.set("Access-Control-Expose-Headers", "ETag, Content-Range");
+
+  if (limited) {
+    headers.set("Cache-Control", "no-store");
+  } else {
+    // set cache（不超过分享有效期）
+    const ONE_YEAR_IN_SECONDS = 31536000;
+    const maxAge = getCacheMaxAge(metadata, ONE_YEAR_IN_SECONDS);
+    headers.set("Cache-Control", `public, max-age=${maxAge}`);
+    headers.set("Expires", new Date(Date.now() + maxAge * 1000).toUTCString());
+  }
+
+  const isFinalChunk = chunkIndex === metadata.totalChunks - 1;
+  if (
+    metadata.burnAfterRead &&
+    isFinalChunk &&
+    response.ok &&
+    response.body &&
+    reachesEnd(response)
+  ) {
+    // 阅后即焚：最后一个分片读到末尾后删除分片和元数据
+    const body = response.body.pipeThrough(
+      new TransformStream({
+        async flush() {
+          try {
+            await deleteShare(fileId, metadata, storage);
+          } catch (err) {
+            console.error(`[Burn] Failed to delete ${fileId}:`, err.message || err);
+          }
+        },
+      }),
+    );
+    return new Response(body, { status: response.status, headers });
+  }
+
   return new Response(response.body, { status: response.status, headers });
 }
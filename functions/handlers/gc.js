@@ -3,38 +3,32 @@
  * 扫描并清理过期文件
  */
 
-import { errorResponse, getMetadataKV } from "../utils.js";
+import {
+  errorResponse,
+  getMetadataKV,
+  getMetadataKey,
+  getDownloadCountKey,
+  getBlockedKey,
+  getTombstoneKey,
+  getMaxExpirySeconds,
+} from "../utils.js";
 import config from "../config/config.js";
 import { createStorageBackend } from "../storage/storage.js";
 
 // 默认过期天数
 const DEFAULT_EXPIRY_DAYS = 7;
 
-/**
- * 验证 GC 请求的 Token
- * @param {Request} request
- * @returns {Promise<{valid: boolean, error?: string, status?: number}>}
- */
-async function verifyGCToken(request) {
-  const authHeader = request.header("Authorization");
+// 未完成上传的默认宽限时间（小时）：超过该时间没有新分片且没有元数据的文件夹视为已放弃
+const DEFAULT_ORPHAN_GRACE_HOURS = 48;
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return { valid: false, error: "Missing or invalid Authorization header", status: 401 };
-  }
+// 单次调用的默认时间预算（毫秒），超出后返回续扫游标，避免边缘函数执行超时
+const DEFAULT_TIME_BUDGET_MS = 20000;
 
-  const token = authHeader.slice(7); // 移除 "Bearer " 前缀
-  const gcSecret = config.get("GC_SECRET");
+// Cloudflare KV 的 expirationTtl 最小为 60 秒
+const MIN_TOMBSTONE_TTL_SECONDS = 60;
 
-  if (!gcSecret) {
-    return { valid: false, error: "GC_SECRET not configured", status: 500 };
-  }
-
-  if (token !== gcSecret) {
-    return { valid: false, error: "Invalid GC token", status: 403 };
-  }
-
-  return { valid: true };
-}
+// 定时 GC 的续扫游标在 KV 中的 key（不以 metadata: 开头，不会被扫描）
+const GC_CURSOR_KEY = "gc:cursor";
 
 /**
  * 从 fileId 解析创建时间戳
@@ -42,7 +36,7 @@ async function verifyGCToken(request) {
  * @param {string} fileId
  * @returns {number|null} 时间戳（毫秒），解析失败返回 null
  */
-function parseFileIdTimestamp(fileId) {
+export function parseFileIdTimestamp(fileId) {
   if (!fileId || typeof fileId !== "string") return null;
   const parts = fileId.split("-");
   if (parts.length < 2) return null;
@@ -51,104 +45,474 @@ function parseFileIdTimestamp(fileId) {
 }
 
 /**
- * GC 接口：扫描并清理过期文件
- * POST /api/gc
+ * 续扫游标无效
+ */
+export class GCCursorError extends Error {}
+
+/**
+ * GC 续扫游标：记录当前阶段和最后处理的位置
+ * @typedef {Object} GCCursor
+ * @property {'metadata'|'orphans'|'multipart'} phase - 扫描元数据 / 清理未完成的上传 / 放弃残留的分段上传
+ * @property {string} [kvCursor] - 当前 KV 分页的游标
+ * @property {string} [storageCursor] - 当前存储分页的游标（清理阶段和分段上传阶段）
+ * @property {string} [after] - 已处理的最后一个 key（元数据阶段）、文件夹名（清理阶段）
+ *   或 `{fileId}:{uploadId}`（分段上传阶段）
+ */
+
+const GC_PHASES = ["metadata", "orphans", "multipart"];
+
+/**
+ * 编码 GC 续扫游标
+ * @param {GCCursor} state
+ * @returns {string}
+ */
+function encodeCursor(state) {
+  return btoa(JSON.stringify(state));
+}
+
+/**
+ * 解码 GC 续扫游标
+ * @param {string} cursor
+ * @returns {GCCursor|null} 格式错误返回 null
+ */
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(atob(cursor));
+    if (state && GC_PHASES.includes(state.phase)) {
+      return state;
+    }
+  } catch {
+    // 格式错误
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} GCOptions
+ * @property {boolean} [dryRun] - 只统计将被删除的文件，不实际删除
+ * @property {string} [cursor] - 上次调用返回的续扫游标
+ * @property {number} [timeBudgetMs] - 本次调用的时间预算，默认读取 GC_TIME_BUDGET_MS
+ */
+
+/**
+ * @typedef {Object} GCReport
+ * @property {boolean} dryRun
+ * @property {number} scanned - 扫描的元数据数量
+ * @property {number} deleted - 删除（dryRun 时为将删除）的过期分享数量
+ * @property {number} orphansDeleted - 删除（dryRun 时为将删除）的未完成上传数量
+ * @property {number} multipartAborted - 放弃（dryRun 时为将放弃）的残留分段上传数量
+ * @property {number} reclaimedBytes - 释放（dryRun 时为将释放）的存储字节数
+ * @property {Array<{fileId: string, reason: 'expired'|'orphan'|'multipart', bytes: number, uploadId?: string}>} [candidates]
+ *   dryRun 时列出将删除的文件；分段上传的已上传大小未知，bytes 为 0
+ * @property {boolean} done - 是否已扫描完毕
+ * @property {string|null} cursor - 未扫描完时用于继续的游标
+ * @property {string[]} errors
+ */
+
+/**
+ * 执行一次 GC：分页扫描过期分享和未完成的上传
+ * 超出时间预算时停止并返回续扫游标，下次调用传入该游标即可继续
+ * @param {GCOptions} [options]
+ * @returns {Promise<GCReport & {expiryDays: number, expiryThreshold: number}>}
+ */
+export async function runGC({ dryRun = false, cursor, timeBudgetMs } = {}) {
+  const now = Date.now();
+  const budget = timeBudgetMs ?? config.getInt("GC_TIME_BUDGET_MS", DEFAULT_TIME_BUDGET_MS);
+
+  // 获取过期配置（用于没有 expiresAt 的旧数据）
+  const expiryDays = config.getInt("GC_EXPIRY_DAYS", DEFAULT_EXPIRY_DAYS);
+  const expiryThreshold = now - expiryDays * 24 * 60 * 60 * 1000;
+
+  let state = { phase: "metadata" };
+  if (cursor) {
+    state = decodeCursor(cursor);
+    if (!state) {
+      throw new GCCursorError("Invalid GC cursor");
+    }
+  }
+
+  const ctx = {
+    storage: await createStorageBackend(),
+    kv: getMetadataKV(),
+    now,
+    expiryThreshold,
+    dryRun,
+    processed: 0,
+    // 至少处理一项后才检查预算，保证每次调用都有进展
+    outOfTime: () => ctx.processed > 0 && Date.now() - now >= budget,
+  };
+  const report = {
+    dryRun,
+    scanned: 0,
+    deleted: 0,
+    orphansDeleted: 0,
+    multipartAborted: 0,
+    reclaimedBytes: 0,
+    candidates: dryRun ? [] : undefined,
+    done: false,
+    cursor: null,
+    errors: [],
+    expiryDays,
+    expiryThreshold,
+  };
+
+  let next = state;
+  if (next.phase === "metadata") {
+    next = await scanMetadata(ctx, next, report);
+    if (!next) next = { phase: "orphans" };
+  }
+  if (next.phase === "orphans") {
+    next = await sweepOrphanedUploads(ctx, next, report);
+    if (!next) next = { phase: "multipart" };
+  }
+  if (next.phase === "multipart") {
+    next = await abortStaleMultipartUploads(ctx, next, report);
+  }
+
+  report.done = !next;
+  report.cursor = next ? encodeCursor(next) : null;
+  return report;
+}
+
+/**
+ * 定时任务执行 GC（无需 GC_SECRET）
+ * 每次执行一轮，未扫描完时将续扫游标保存到 KV，下次定时触发时继续
+ * @returns {Promise<GCReport>}
+ */
+export async function runScheduledGC() {
+  const kv = getMetadataKV();
+  const cursor = await kv.get(GC_CURSOR_KEY, { type: "text", cache: false });
+
+  let report;
+  try {
+    report = await runGC({ cursor: cursor || undefined });
+  } catch (err) {
+    if (!(err instanceof GCCursorError)) throw err;
+    // 游标失效（如版本升级后格式变化），从头开始
+    report = await runGC();
+  }
+
+  if (report.done) {
+    await kv.delete(GC_CURSOR_KEY);
+  } else {
+    await kv.put(GC_CURSOR_KEY, report.cursor);
+  }
+
+  console.log(
+    `[GC] scanned=${report.scanned} deleted=${report.deleted} orphansDeleted=${report.orphansDeleted} ` +
+      `multipartAborted=${report.multipartAborted} reclaimedBytes=${report.reclaimedBytes} done=${report.done}`,
+  );
+  for (const error of report.errors) {
+    console.error(`[GC] ${error}`);
+  }
+  return report;
+}
+
+/**
+ * GC 接口：扫描并清理过期文件（需要 gc 权限）
+ * POST /api/gc、POST /api/admin/gc
  *
  * Headers:
- *   Authorization: Bearer <GC_SECRET>
+ *   Authorization: Bearer <API Key 或 GC_SECRET>
+ *
+ * Body (JSON，可选；也可通过同名查询参数传入):
+ *   { dryRun?: boolean, cursor?: string }
  *
  * Response:
- *   { scanned: number, deleted: number, errors: string[] }
+ *   { dryRun, scanned, deleted, orphansDeleted, multipartAborted, reclaimedBytes, candidates?, done, cursor, errors }
+ *   reclaimedBytes 为过期分享和未完成上传释放的存储字节数
+ *   done 为 false 时，以返回的 cursor 再次调用继续扫描
  */
 export async function handleGC(c) {
-  // 1. 验证 Token
-  const auth = await verifyGCToken(c.req);
-  if (!auth.valid) {
-    return errorResponse(c, auth.error, auth.status);
+  // 1. 解析参数
+  const body = await c.req.json().catch(() => ({}));
+  const dryRun = body.dryRun === true || c.req.query("dryRun") === "true";
+  const cursor = body.cursor || c.req.query("cursor");
+
+  // 2. 执行 GC
+  let report;
+  try {
+    report = await runGC({ dryRun, cursor });
+  } catch (err) {
+    if (err instanceof GCCursorError) {
+      return errorResponse(c, err.message, 400);
+    }
+    return errorResponse(c, `Failed to list metadata: ${err.message}`, 500);
   }
 
-  // 2. 获取过期配置
-  const expiryDays = config.getInt("GC_EXPIRY_DAYS", DEFAULT_EXPIRY_DAYS);
-  const expiryThreshold = Date.now() - expiryDays * 24 * 60 * 60 * 1000;
+  return c.json({
+    ...report,
+    expiryThreshold: new Date(report.expiryThreshold).toISOString(),
+    errors: report.errors.length > 0 ? report.errors : undefined,
+  });
+}
 
-  // 3. 扫描 KV 中的所有 metadata
-  const kv = getMetadataKV();
-  const errors = [];
-  let scanned = 0;
-  let deleted = 0;
+/**
+ * 分页扫描 KV 中的元数据，删除过期分享
+ * @param {Object} ctx - runGC 的执行上下文
+ * @param {GCCursor} state
+ * @param {GCReport} report
+ * @returns {Promise<GCCursor|null>} 超出时间预算时返回续扫游标，扫描完毕返回 null
+ */
+async function scanMetadata(ctx, state, report) {
+  let { kvCursor, after } = state;
+
+  while (true) {
+    const page = await ctx.kv.list({ prefix: "metadata:", cursor: kvCursor });
+
+    for (const { name: key } of page.keys || []) {
+      // 续扫时跳过本页已处理的 key（按 key 记录，避免删除导致分页偏移）
+      if (after !== undefined && key <= after) continue;
+      if (ctx.outOfTime()) {
+        return { phase: "metadata", kvCursor, after };
+      }
+
+      await processMetadataKey(ctx, key, report);
+      ctx.processed++;
+      after = key;
+    }
+
+    if (page.list_complete || !page.cursor) return null;
+    kvCursor = page.cursor;
+    after = undefined;
+  }
+}
+
+/**
+ * 检查单个分享是否过期，过期则删除
+ * @param {Object} ctx
+ * @param {string} key - metadata:{fileId}
+ * @param {GCReport} report
+ */
+async function processMetadataKey(ctx, key, report) {
+  report.scanned++;
+  const fileId = key.replace("metadata:", "");
 
   try {
-    // 获取存储后端
-    const storage = await createStorageBackend();
+    // 获取 metadata（跳过读缓存，避免全量扫描挤掉下载中的热点元数据）
+    const metadataStr = await ctx.kv.get(key, { type: "text", cache: false });
+    if (!metadataStr) return;
+
+    const metadata = JSON.parse(metadataStr);
+
+    // 判断是否过期：优先使用上传者选择的 expiresAt
+    if (typeof metadata.expiresAt === "number") {
+      if (metadata.expiresAt > ctx.now) return;
+    } else {
+      // 旧数据：优先使用 metadata.createdAt，否则从 fileId 解析
+      let createdAt = metadata.createdAt;
+      if (!createdAt) {
+        createdAt = parseFileIdTimestamp(fileId);
+      }
 
-    // 列出所有 metadata key
-    const listResult = await kv.list({ prefix: "metadata:" });
-    const keys = listResult.keys || [];
+      if (!createdAt || createdAt > ctx.expiryThreshold) {
+        // 未过期或无法判断，跳过
+        return;
+      }
+    }
+
+    // 文件已过期，删除存储后端文件和 KV 元数据
+    let bytes;
+    if (ctx.dryRun) {
+      bytes = (await listStoredFile(metadata, ctx.storage)).bytes;
+      report.candidates.push({ fileId, reason: "expired", bytes });
+    } else {
+      bytes = await deleteShare(fileId, metadata, ctx.storage);
+    }
+    report.reclaimedBytes += bytes;
+    report.deleted++;
+  } catch (err) {
+    report.errors.push(`Failed to process ${fileId}: ${err.message}`);
+  }
+}
+
+/**
+ * 清理未完成的上传：超过宽限时间、且没有对应元数据的存储文件夹
+ * 上传 token 在分享过期前一直有效（最长 MAX_EXPIRY_HOURS），宽限时间不短于该时长，避免删除仍可续传的上传
+ * 文件夹名即上传时生成的 fileId；分页列出文件夹，只有没有元数据的文件夹才列出其中的分片
+ * @param {Object} ctx - runGC 的执行上下文
+ * @param {GCCursor} state
+ * @param {GCReport} report
+ * @returns {Promise<GCCursor|null>} 超出时间预算时返回续扫游标，处理完毕返回 null
+ */
+async function sweepOrphanedUploads(ctx, state, report) {
+  const graceHours = config.getInt("GC_ORPHAN_GRACE_HOURS", DEFAULT_ORPHAN_GRACE_HOURS);
+  const graceMs = Math.max(graceHours * 60 * 60 * 1000, getMaxExpirySeconds() * 1000);
+  const threshold = ctx.now - graceMs;
+  let { storageCursor, after } = state;
+
+  while (true) {
+    const page = await ctx.storage.listFolders({ cursor: storageCursor });
 
-    for (const keyInfo of keys) {
-      scanned++;
-      const key = keyInfo.name;
-      const fileId = key.replace("metadata:", "");
+    for (const folder of page.items) {
+      const fileId = folder.name;
+      // 续扫时跳过本页已处理的文件夹（按名称记录，避免删除导致分页偏移）
+      if (after !== undefined && fileId <= after) continue;
+      if (ctx.outOfTime()) {
+        return { phase: "orphans", storageCursor, after };
+      }
+      ctx.processed++;
+      after = fileId;
 
       try {
-        // 获取 metadata
-        const metadataStr = await kv.get(key, { type: "text" });
-        if (!metadataStr) continue;
+        const metadata = await ctx.kv.get(getMetadataKey(fileId), { type: "text", cache: false });
+        if (metadata) continue;
 
-        const metadata = JSON.parse(metadataStr);
+        // 仍在上传中（宽限时间内有新分片）
+        const { items } = await ctx.storage.listFiles(folder.fileId);
+        const lastModified = Math.max(
+          folder.lastModified || 0,
+          ...items.map((item) => item.lastModified || 0),
+        );
+        if (!lastModified || lastModified > threshold) continue;
 
-        // 判断是否过期：优先使用 metadata.createdAt，否则从 fileId 解析
-        let createdAt = metadata.createdAt;
-        if (!createdAt) {
-          createdAt = parseFileIdTimestamp(fileId);
+        let bytes;
+        if (ctx.dryRun) {
+          bytes = items.reduce((sum, item) => sum + (item.size || 0), 0);
+          report.candidates.push({ fileId, reason: "orphan", bytes });
+        } else {
+          bytes = await deleteStoredFile(fileId, { folderId: folder.fileId }, ctx.storage);
         }
+        report.reclaimedBytes += bytes;
+        report.orphansDeleted++;
+      } catch (err) {
+        report.errors.push(`Failed to sweep orphaned upload ${fileId}: ${err.message}`);
+      }
+    }
 
-        if (!createdAt || createdAt > expiryThreshold) {
-          // 未过期或无法判断，跳过
-          continue;
-        }
+    if (!page.cursor) return null;
+    storageCursor = page.cursor;
+    after = undefined;
+  }
+}
 
-        // 文件已过期，删除存储后端文件和 KV 元数据
-        await deleteStoredFile(fileId, metadata, storage);
-        await kv.delete(key);
-        deleted++;
+/**
+ * 放弃残留的分段上传：客户端重试或放弃上传后遗留、超过宽限时间的 multipart 上传
+ * 未完成的分段上传不会出现在对象列表中，但已上传的 part 仍会计费
+ * @param {Object} ctx - runGC 的执行上下文
+ * @param {GCCursor} state
+ * @param {GCReport} report
+ * @returns {Promise<GCCursor|null>} 超出时间预算时返回续扫游标，处理完毕返回 null
+ */
+async function abortStaleMultipartUploads(ctx, state, report) {
+  if (!ctx.storage.listPendingUploads) return null;
+
+  const graceHours = config.getInt("GC_ORPHAN_GRACE_HOURS", DEFAULT_ORPHAN_GRACE_HOURS);
+  const threshold = ctx.now - graceHours * 60 * 60 * 1000;
+  let { storageCursor, after } = state;
+
+  while (true) {
+    const page = await ctx.storage.listPendingUploads({ cursor: storageCursor });
+    const items = page.items.map((upload) => ({
+      ...upload,
+      id: `${upload.fileId}:${upload.uploadId}`,
+    }));
+
+    // 续扫时跳过本页已处理的上传；上次处理的上传已被放弃（不在列表中）时，
+    // 本页之前的上传也都已放弃或未过宽限时间，从头处理即可
+    const start = after === undefined ? 0 : items.findIndex((upload) => upload.id === after) + 1;
+    for (const upload of items.slice(start)) {
+      if (ctx.outOfTime()) {
+        return { phase: "multipart", storageCursor, after };
+      }
+      ctx.processed++;
+      after = upload.id;
+
+      if (!upload.initiated || upload.initiated > threshold) continue;
+
+      try {
+        if (ctx.dryRun) {
+          report.candidates.push({
+            fileId: upload.fileId,
+            uploadId: upload.uploadId,
+            reason: "multipart",
+            bytes: 0,
+          });
+        } else {
+          await ctx.storage.abortUpload(upload.fileId, upload.uploadId);
+        }
+        report.multipartAborted++;
       } catch (err) {
-        errors.push(`Failed to process ${fileId}: ${err.message}`);
+        report.errors.push(`Failed to abort multipart upload ${upload.id}: ${err.message}`);
       }
     }
-  } catch (err) {
-    return errorResponse(c, `Failed to list metadata: ${err.message}`, 500);
+
+    if (!page.cursor) return null;
+    storageCursor = page.cursor;
+    after = undefined;
   }
+}
 
-  return c.json({
-    scanned,
-    deleted,
-    expiryDays,
-    expiryThreshold: new Date(expiryThreshold).toISOString(),
-    errors: errors.length > 0 ? errors : undefined,
-  });
+/**
+ * 列出分享在存储后端上的文件及占用的字节数
+ * @param {object} metadata
+ * @param {import('../storage/storage.js').StorageBackend} storage
+ * @returns {Promise<{items: import('../storage/storage.js').ListItem[], bytes: number}>}
+ */
+export async function listStoredFile(metadata, storage) {
+  const items = metadata.folderId ? (await storage.listFiles(metadata.folderId)).items : [];
+  const bytes = items.reduce((sum, item) => sum + (item.size || 0), 0);
+  return { items, bytes };
 }
 
 /**
  * 删除存储后端上的文件（文件夹及其所有分片）
+ * 先列出文件夹获取实际占用的字节数，同时清理元数据中未记录的残留分片
  * @param {string} fileId
  * @param {object} metadata
  * @param {import('../storage/storage.js').StorageBackend} storage
+ * @returns {Promise<number>} 释放的字节数
  */
-async function deleteStoredFile(fileId, metadata, storage) {
+export async function deleteStoredFile(fileId, metadata, storage) {
+  const folderId = metadata.folderId;
+  const { items, bytes } = await listStoredFile(metadata, storage);
+
   if (storage.supportsFolderDelete) {
     // 后端支持删除文件夹时递归删除内容
-    const folderId = metadata.folderId;
     if (folderId) {
       await storage.deleteFile(folderId);
     }
   } else {
     // 后端不支持文件夹删除，需逐个删除分片（如 S3）
-    const chunkIds = metadata.chunkIds || [];
-    for (const chunk of chunkIds) {
-      if (chunk.fileId) {
-        await storage.deleteFile(chunk.fileId);
+    // 只删除本分享文件夹下的对象，元数据中的分片 ID 不可信（旧数据未校验）
+    const ids = new Set();
+    if (folderId) {
+      for (const id of [
+        ...items.map((item) => item.fileId),
+        ...(metadata.chunkIds || []).map((chunk) => chunk.fileId),
+      ]) {
+        if (typeof id === "string" && id.startsWith(folderId)) {
+          ids.add(id);
+        }
       }
     }
+    if (ids.size > 0) {
+      await storage.deleteFile([...ids]);
+    }
   }
+  return bytes;
+}
+
+/**
+ * 删除整个分享：存储后端文件、KV 元数据、下载计数及屏蔽记录
+ * 分享未到期时写入墓碑（保留到原有效期），持有上传 token 的人无法重放完成上传请求恢复分享
+ * @param {string} fileId
+ * @param {object} metadata
+ * @param {import('../storage/storage.js').StorageBackend} storage
+ * @returns {Promise<number>} 释放的字节数
+ */
+export async function deleteShare(fileId, metadata, storage) {
+  const kv = getMetadataKV();
+  const remainingMs = typeof metadata.expiresAt === "number" ? metadata.expiresAt - Date.now() : 0;
+  if (remainingMs > 0) {
+    await kv.put(getTombstoneKey(fileId), String(Date.now()), {
+      expirationTtl: Math.max(Math.ceil(remainingMs / 1000), MIN_TOMBSTONE_TTL_SECONDS),
+    });
+  }
+
+  const bytes = await deleteStoredFile(fileId, metadata, storage);
+  await kv.delete(getMetadataKey(fileId));
+  await kv.delete(getDownloadCountKey(fileId));
+  await kv.delete(getBlockedKey(fileId));
+  return bytes;
 }
@@ -8,11 +8,20 @@ import {
   verifyUploadToken,
   getMetadataKV,
   getMetadataKey,
+  getBlockedKey,
+  getTombstoneKey,
   getMaxFileSize,
   getChunkSize,
+  getMaxChunkBodySize,
+  getMaxExpirySeconds,
+  getDefaultExpirySeconds,
+  MIN_EXPIRY_SECONDS,
+  generateToken,
+  sha256Hex,
   retry,
 } from "../utils.js";
 import { createStorageBackend } from "../storage/storage.js";
+import { authenticateUpload, isUploadAuthRequired, reserveUploadQuota } from "../uploadauth.js";
 
 // Base62 编码（URL 安全）
 const BASE62 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
@@ -40,14 +49,59 @@ function encodeHour(hour) {
   return result.padStart(4, "0");
 }
 
+/**
+ * 判断上传是否已结束：已完成（元数据存在）、已被撤销/删除或屏蔽的分享不能再继续或重新完成
+ * @param {string} fileId
+ * @returns {Promise<boolean>}
+ */
+async function isUploadClosed(fileId) {
+  const kv = getMetadataKV();
+  const keys = [getMetadataKey(fileId), getTombstoneKey(fileId), getBlockedKey(fileId)];
+  const values = await Promise.all(keys.map((key) => kv.get(key, { type: "text", cache: false })));
+  return values.some(Boolean);
+}
+
+/**
+ * 上传 token 已过期或上传已关闭时返回错误响应，所有写入分片和完成上传的接口都需检查
+ * @param {import('hono').Context} c
+ * @param {string} fileId
+ * @param {number} [expiresAt] - token 中的分享过期时间
+ * @returns {Promise<Response|null>}
+ */
+async function rejectClosedUpload(c, fileId, expiresAt) {
+  if (expiresAt && Date.now() >= expiresAt) {
+    return errorResponse(c, "Upload session expired", 410);
+  }
+  if (await isUploadClosed(fileId)) {
+    return errorResponse(c, "Upload already completed", 409);
+  }
+  return null;
+}
+
 /**
  * 初始化上传：验证文件大小，在存储后端创建文件夹用于存放分片
  * POST /api/upload/start
+ *
+ * 开启 UPLOAD_AUTH_REQUIRED 时需要 Authorization: Bearer <credential>，并扣除该凭证的上传配额
  */
 export async function handleUploadStart(c) {
+  let credential = null;
+  if (isUploadAuthRequired()) {
+    credential = await authenticateUpload(c.req);
+    if (!credential) {
+      return errorResponse(c, "Missing or invalid upload credential", 401);
+    }
+  }
+
   // Get file size from request
   const body = await c.req.json().catch(() => ({}));
-  const { fileSize } = body;
+  const {
+    fileSize,
+    fileSizes,
+    expiresIn = getDefaultExpirySeconds(),
+    burnAfterRead = false,
+  } = body;
+  let { maxDownloads } = body;
 
   // Validate file size
   if (!fileSize || typeof fileSize !== "number" || fileSize <= 0) {
@@ -63,11 +117,59 @@ export async function handleUploadStart(c) {
     );
   }
 
+  // Validate expiry (seconds)
+  const maxExpiry = getMaxExpirySeconds();
+  if (!Number.isInteger(expiresIn) || expiresIn < MIN_EXPIRY_SECONDS || expiresIn > maxExpiry) {
+    return errorResponse(
+      c,
+      `Invalid expiresIn. Allowed range: ${MIN_EXPIRY_SECONDS}-${maxExpiry} seconds`,
+      400,
+    );
+  }
+  const expiresAt = Date.now() + expiresIn * 1000;
+
+  // Validate download limit（阅后即焚只允许下载一次）
+  if (typeof burnAfterRead !== "boolean") {
+    return errorResponse(c, "Invalid burnAfterRead", 400);
+  }
+  if (burnAfterRead) {
+    maxDownloads = 1;
+  } else if (maxDownloads !== undefined && maxDownloads !== null) {
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+      return errorResponse(c, "Invalid maxDownloads. Must be a positive integer", 400);
+    }
+  } else {
+    maxDownloads = undefined;
+  }
+
   // Calculate expected total chunks
-  const totalChunks = Math.ceil(fileSize / getChunkSize());
+  // 多文件分享：每个文件从新的分块开始，fileSizes 之和必须等于 fileSize
+  const chunkSize = getChunkSize();
+  let totalChunks;
+  if (fileSizes !== undefined) {
+    if (
+      !Array.isArray(fileSizes) ||
+      fileSizes.length === 0 ||
+      !fileSizes.every((size) => Number.isInteger(size) && size >= 0) ||
+      fileSizes.reduce((sum, size) => sum + size, 0) !== fileSize
+    ) {
+      return errorResponse(c, "Invalid fileSizes", 400);
+    }
+    totalChunks = fileSizes.reduce((sum, size) => sum + Math.ceil(size / chunkSize), 0);
+  } else {
+    totalChunks = Math.ceil(fileSize / chunkSize);
+  }
+
+  // 所有参数校验通过后再扣除配额
+  if (credential) {
+    const quotaError = await reserveUploadQuota(credential, fileSize);
+    if (quotaError) {
+      return errorResponse(c, quotaError, 429);
+    }
+  }
 
   // 生成文件 ID（用于标识这次上传）
-  // 小时数往后偏移1小时，确保文件至少存活24小时（最多25小时）
+  // 前缀为编码后的小时数（往后偏移 1 小时）；分享有效期由上传者选择，签入上传 token
   const currentHour = Math.floor(Date.now() / 3600000) + 1;
   const hourPart = encodeHour(currentHour); // 4 字符 base62
   const randomPart = toBase62Bytes(crypto.getRandomValues(new Uint8Array(6))); // 8 字符 base62
@@ -80,11 +182,16 @@ export async function handleUploadStart(c) {
   const result = await storage.createFolder(fileId);
   folderId = result.folderId;
 
-  // 生成上传 token（包含 fileId + folderId + totalChunks，客户端无需知道 folderId）
-  const uploadToken = await signUploadPayload(fileId, folderId, totalChunks);
+  // 生成上传 token（包含 fileId + folderId + totalChunks + 分享策略，客户端无需知道 folderId）
+  // 有效期和下载限制绑定在签名中，完成上传时以 token 中的值为准，客户端无法篡改
+  const uploadToken = await signUploadPayload(fileId, folderId, totalChunks, {
+    expiresAt,
+    maxDownloads,
+    burnAfterRead,
+  });
 
   // 不返回 folderId 给客户端，它已嵌入 token 中
-  return c.json({ fileId, uploadToken, totalChunks });
+  return c.json({ fileId, uploadToken, totalChunks, expiresAt, maxDownloads, burnAfterRead });
 }
 
 /**
@@ -92,13 +199,18 @@ export async function handleUploadStart(c) {
  * POST /api/upload/chunk
  *
  * 仅在 supportsDirectUpload=true 时使用
+ * 重试分片时传入上次的 abortUploadId，先放弃上次未完成的分段上传，避免残留的 part 持续计费
  */
 export async function handleUploadChunk(c) {
   const token = c.req.header("X-Upload-Token");
-  const { fileId, chunkIndex, chunkSize, contentHash } = await c.req.json();
+  const { fileId, chunkIndex, chunkSize, contentHash, abortUploadId } = await c.req.json();
   if (!fileId || chunkIndex === undefined || !chunkSize) {
     return errorResponse(c, "Missing fileId, chunkIndex or chunkSize", 400);
   }
+  const maxBytes = getMaxChunkBodySize();
+  if (!Number.isInteger(chunkSize) || chunkSize < 0 || chunkSize > maxBytes) {
+    return errorResponse(c, `Invalid chunkSize. Maximum: ${maxBytes} bytes`, 400);
+  }
 
   // 验证上传 token 并获取 folderId 和 totalChunks
   const tokenResult = await verifyUploadToken(fileId, token);
@@ -106,7 +218,11 @@ export async function handleUploadChunk(c) {
     return errorResponse(c, "Unauthorized: Invalid upload token", 403);
   }
 
-  const { folderId, totalChunks } = tokenResult;
+  const { folderId, totalChunks, expiresAt } = tokenResult;
+
+  // 已过期、已完成、已撤销或屏蔽的上传不能再写入分片，避免覆盖线上分享的数据
+  const closed = await rejectClosedUpload(c, fileId, expiresAt);
+  if (closed) return closed;
 
   // 验证 chunkIndex 不超过允许的范围
   if (chunkIndex < 0 || chunkIndex >= totalChunks) {
@@ -121,6 +237,12 @@ export async function handleUploadChunk(c) {
 
   // 从 token 获取 folderId
   const chunkFileName = `chunk_${chunkIndex}`;
+  if (abortUploadId && storage.abortUpload) {
+    // 对象 key 由 token 中的 folderId 决定，客户端只能放弃自己的上传；失败时交给 GC 清理
+    await storage
+      .abortUpload(folderId + chunkFileName, String(abortUploadId))
+      .catch((err) => console.warn(`abortUpload failed for ${fileId}/${chunkIndex}:`, err));
+  }
   const result = await storage.createFileAndGetUploadUrl(
     folderId,
     chunkFileName,
@@ -163,7 +285,11 @@ export async function handleUploadChunkData(c) {
     return errorResponse(c, "Unauthorized: Invalid upload token", 403);
   }
 
-  const { folderId, totalChunks } = tokenResult;
+  const { folderId, totalChunks, expiresAt } = tokenResult;
+
+  // 已过期、已完成、已撤销或屏蔽的上传不能再写入分片，避免覆盖线上分享的数据
+  const closed = await rejectClosedUpload(c, fileId, expiresAt);
+  if (closed) return closed;
 
   // 验证 chunkIndex 范围
   if (chunkIndex < 0 || chunkIndex >= totalChunks) {
@@ -174,13 +300,40 @@ export async function handleUploadChunkData(c) {
     );
   }
 
+  // 请求体不超过分片大小（含加密开销），避免超出开始上传时扣除的配额
+  const maxBytes = getMaxChunkBodySize();
+  const tooLargeMessage = `Chunk too large. Maximum: ${maxBytes} bytes`;
+  if (parseInt(c.req.header("Content-Length"), 10) > maxBytes) {
+    return errorResponse(c, tooLargeMessage, 413);
+  }
+
   const storage = await createStorageBackend();
 
-  // 读取请求体数据并代理上传
-  const data = c.req.body;
+  // 读取请求体数据并代理上传，未声明 Content-Length 时边读边计数
+  let received = 0;
+  let tooLarge = false;
+  const data = c.req.raw.body?.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        received += chunk.byteLength;
+        if (received > maxBytes) {
+          tooLarge = true;
+          controller.error(new Error(tooLargeMessage));
+          return;
+        }
+        controller.enqueue(chunk);
+      },
+    }),
+  );
   const chunkFileName = `chunk_${chunkIndex}`;
 
-  const result = await storage.uploadFile(folderId, chunkFileName, data, contentHash);
+  let result;
+  try {
+    result = await storage.uploadFile(folderId, chunkFileName, data, contentHash);
+  } catch (err) {
+    if (tooLarge) return errorResponse(c, tooLargeMessage, 413);
+    throw err;
+  }
 
   return c.json({
     chunkFileId: result.fileId,
@@ -191,24 +344,55 @@ export async function handleUploadChunkData(c) {
 /**
  * 完成分片上传（前端上传完成后调用）
  * PUT /api/upload/chunk
+ *
+ * Body:
+ *   { fileId, chunkIndex, uploadId, contentHash, parts? }
+ *   parts 为分段上传时各 part 的 [{ partNumber, etag }]
+ *   分片对象 key 由 token 中的 folderId 和 chunkIndex 决定，忽略客户端传入的 chunkFileId
  */
 export async function handleUploadChunkComplete(c) {
-  const { fileId, chunkIndex, chunkFileId, uploadId, contentHash } = await c.req.json();
+  const { fileId, chunkIndex, uploadId, contentHash, parts } = await c.req.json();
   const token = c.req.header("X-Upload-Token");
 
-  if (!fileId || chunkIndex === undefined || !chunkFileId) {
+  if (!fileId || chunkIndex === undefined) {
     return errorResponse(c, "Missing required parameters", 400);
   }
 
+  if (
+    parts !== undefined &&
+    (!Array.isArray(parts) ||
+      !parts.every(
+        (p) => Number.isInteger(p?.partNumber) && p.partNumber >= 1 && typeof p.etag === "string",
+      ))
+  ) {
+    return errorResponse(c, "Invalid parts", 400);
+  }
+
   const tokenResult = await verifyUploadToken(fileId, token);
   if (!tokenResult.valid) {
     return errorResponse(c, "Unauthorized: Invalid upload token", 403);
   }
 
+  const { folderId, totalChunks, expiresAt } = tokenResult;
+
+  // 已过期、已完成、已撤销或屏蔽的上传不能再写入分片，避免覆盖线上分享的数据
+  const closed = await rejectClosedUpload(c, fileId, expiresAt);
+  if (closed) return closed;
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks) {
+    return errorResponse(
+      c,
+      `Invalid chunkIndex: ${chunkIndex}. Maximum allowed: ${totalChunks - 1}`,
+      400,
+    );
+  }
+  const chunkFileId = `${folderId}chunk_${chunkIndex}`;
+
   // 通知存储后端上传完成（带重试）
   const storage = await createStorageBackend();
   try {
-    await retry(() => storage.completeUpload(chunkFileId, uploadId, contentHash || ""));
+    await retry(() =>
+      storage.completeUpload(chunkFileId, uploadId, contentHash || "", parts || []),
+    );
   } catch (err) {
     console.error("completeUpload failed after retries:", err);
     return errorResponse(c, "Failed to complete chunk upload", 500);
@@ -217,9 +401,56 @@ export async function handleUploadChunkComplete(c) {
   return c.json({ success: true, chunkIndex });
 }
 
+/**
+ * 查询已上传的分片（断点续传）
+ * GET /api/upload/:id/status
+ *
+ * Headers:
+ *   X-Upload-Token: <uploadToken>
+ *
+ * Response:
+ *   { fileId, totalChunks, chunks: [{ index, chunkFileId, size }] }
+ *   size 为存储中的加密分片大小，客户端据此判断分片是否完整
+ */
+export async function handleUploadStatus(c) {
+  const fileId = c.req.param("id");
+  const token = c.req.header("X-Upload-Token");
+
+  const tokenResult = await verifyUploadToken(fileId, token);
+  if (!tokenResult.valid) {
+    return errorResponse(c, "Unauthorized: Invalid upload token", 403);
+  }
+
+  const { folderId, totalChunks, expiresAt } = tokenResult;
+
+  // 已过期或已完成的上传不能再继续
+  const closed = await rejectClosedUpload(c, fileId, expiresAt);
+  if (closed) return closed;
+
+  const storage = await createStorageBackend();
+  const { items } = await storage.listFiles(folderId);
+
+  const chunks = [];
+  for (const item of items) {
+    const match = /^chunk_(\d+)$/.exec(item.name);
+    if (!match) continue;
+    const index = parseInt(match[1], 10);
+    if (index >= totalChunks) continue;
+    chunks.push({ index, chunkFileId: item.fileId, size: item.size });
+  }
+  chunks.sort((a, b) => a.index - b.index);
+
+  c.header("Cache-Control", "no-store");
+  return c.json({ fileId, totalChunks, chunks });
+}
+
 /**
  * 完成上传：保存文件元数据和分片信息
  * POST /api/upload/complete
+ *
+ * Response:
+ *   { success, fileId, manageToken }
+ *   manageToken 仅返回这一次，服务端只保存其哈希，用于上传者撤销分享
  */
 export async function handleUploadComplete(c) {
   const { fileId, metadata, chunkIds } = await c.req.json();
@@ -239,7 +470,12 @@ export async function handleUploadComplete(c) {
     return errorResponse(c, "Unauthorized: Invalid upload token", 403);
   }
 
-  const { folderId, totalChunks } = tokenResult;
+  const { folderId, totalChunks, expiresAt, maxDownloads, burnAfterRead } = tokenResult;
+
+  // 每个上传只能完成一次：重放请求会覆盖元数据、签发新的 manageToken，
+  // 并恢复已撤销、删除或屏蔽的分享
+  const closed = await rejectClosedUpload(c, fileId, expiresAt);
+  if (closed) return closed;
 
   // 验证提交的 chunk 数量等于预期
   if (chunkIds.length !== totalChunks) {
@@ -259,15 +495,39 @@ export async function handleUploadComplete(c) {
     );
   }
 
-  // 保存元数据到 KV（从 token 获取 folderId）
+  // 分片必须是本次上传文件夹下的对象，且序号恰好覆盖 0..totalChunks-1，
+  // 否则可以引用其他分享的对象，并在撤销时将其删除
+  const indices = new Set();
+  for (const chunk of chunkIds) {
+    const index = chunk?.index;
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= totalChunks ||
+      indices.has(index) ||
+      chunk.fileId !== `${folderId}chunk_${index}`
+    ) {
+      return errorResponse(c, "Invalid chunkIds", 400);
+    }
+    indices.add(index);
+  }
+
+  // 生成管理 token
+  const manageToken = generateToken();
+
+  // 保存元数据到 KV（从 token 获取 folderId 和分享策略）
   const fullMetadata = {
     ...metadata,
     chunkIds: chunkIds.sort((a, b) => a.index - b.index),
     folderId,
+    expiresAt,
+    maxDownloads,
+    burnAfterRead,
+    manageTokenHash: await sha256Hex(manageToken),
   };
 
   const kv = getMetadataKV();
   await kv.put(getMetadataKey(fileId), JSON.stringify(fullMetadata));
 
-  return c.json({ success: true, fileId });
+  return c.json({ success: true, fileId, manageToken });
 }
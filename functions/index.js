@@ -9,10 +9,29 @@ import {
   handleUploadChunkData,
   handleUploadChunkComplete,
   handleUploadComplete,
+  handleUploadStatus,
 } from "./handlers/upload.js";
-import { handleGetFile, handleGetChunk } from "./handlers/file.js";
+import {
+  handleGetFile,
+  handleGetChunk,
+  handleStartDownload,
+  handleDeleteFile,
+} from "./handlers/file.js";
 import { handleGC } from "./handlers/gc.js";
 import { handleGetConfig } from "./handlers/config.js";
+import {
+  handleGetAdminConfig,
+  handleGetStats,
+  handleListShares,
+  handleGetShare,
+  handleDeleteShare,
+  handleBlockShare,
+  handleUnblockShare,
+  handleListApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey,
+} from "./handlers/admin.js";
+import { requireScope } from "./auth.js";
 
 // 导入 KV 适配器以触发插件注册
 import "./kv/edgekv.js";
@@ -38,10 +57,14 @@ app.onError((err, c) => {
   return c.json({ error: message }, status);
 });
 
-// 在所有请求前加载配置
+// 在所有请求前加载配置（按需重新加载），请求处理期间使用同一份配置快照
+// 缺少必需配置或格式错误时拒绝服务（问题已在加载时输出到日志）
 app.use("*", async (c, next) => {
   await config.load();
-  await next();
+  if (config.hasErrors()) {
+    return c.json({ error: "Service misconfigured" }, 503);
+  }
+  await config.run(next);
 });
 
 app.post("/api/upload/start", handleUploadStart);
@@ -49,9 +72,25 @@ app.post("/api/upload/chunk", handleUploadChunk);
 app.put("/api/upload/chunk", handleUploadChunkComplete);
 app.post("/api/upload/chunk/data", handleUploadChunkData);
 app.post("/api/upload/complete", handleUploadComplete);
+app.get("/api/upload/:id/status", handleUploadStatus);
 app.get("/api/file/:id/chunk/:chunkIndex", handleGetChunk);
 app.get("/api/file/:id", handleGetFile);
-app.post("/api/gc", handleGC);
+app.delete("/api/file/:id", handleDeleteFile);
+app.post("/api/file/:id/session", handleStartDownload);
 app.get("/api/config", handleGetConfig);
 
+// 特权接口：按 API Key 权限鉴权
+app.post("/api/gc", requireScope("gc"), handleGC);
+app.post("/api/admin/gc", requireScope("gc"), handleGC);
+app.get("/api/admin/config", requireScope("admin:read"), handleGetAdminConfig);
+app.get("/api/admin/stats", requireScope("admin:read"), handleGetStats);
+app.get("/api/admin/shares", requireScope("admin:read"), handleListShares);
+app.get("/api/admin/shares/:id", requireScope("admin:read"), handleGetShare);
+app.delete("/api/admin/shares/:id", requireScope("admin:write"), handleDeleteShare);
+app.put("/api/admin/shares/:id/block", requireScope("admin:write"), handleBlockShare);
+app.delete("/api/admin/shares/:id/block", requireScope("admin:write"), handleUnblockShare);
+app.get("/api/admin/keys", requireScope("admin:read"), handleListApiKeys);
+app.post("/api/admin/keys", requireScope("admin:write"), handleCreateApiKey);
+app.delete("/api/admin/keys/:id", requireScope("admin:write"), handleRevokeApiKey);
+
 export default app;
@@ -0,0 +1,166 @@
+/**
+ * JWT 验证（Web Crypto）
+ * 只使用本地配置的密钥：HS* 使用共享密钥，RS* / ES* 使用 JWKS 中的公钥，不会请求远程 JWKS 地址
+ */
+
+// alg → Web Crypto 参数；共享密钥和公钥分开，避免用公钥当 HMAC 密钥的算法混淆攻击
+const ALGORITHMS = {
+  HS256: { name: "HMAC", hash: "SHA-256" },
+  HS384: { name: "HMAC", hash: "SHA-384" },
+  HS512: { name: "HMAC", hash: "SHA-512" },
+  RS256: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+  RS384: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-384" },
+  RS512: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-512" },
+  ES256: { name: "ECDSA", hash: "SHA-256", namedCurve: "P-256" },
+  ES384: { name: "ECDSA", hash: "SHA-384", namedCurve: "P-384" },
+};
+
+// exp / nbf 允许的时钟偏差（秒）
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * JWT 无效（格式错误、签名不匹配、过期、iss/aud 不符等）
+ */
+export class JWTError extends Error {}
+
+/**
+ * @typedef {Object} JWTVerifyOptions
+ * @property {string} [secret] - HS* 使用的共享密钥
+ * @property {{keys: Object[]}} [jwks] - RS* / ES* 使用的公钥集合
+ * @property {string} [issuer] - 要求 iss 等于该值
+ * @property {string} [audience] - 要求 aud 包含该值
+ * @property {boolean} [requireExp] - 要求 token 包含 exp，避免签发的 token 永久有效
+ */
+
+function base64UrlDecode(str) {
+  const base64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "="));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function decodeJSONPart(part) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+}
+
+/**
+ * 判断字符串是否为 JWT 格式（header.payload.signature）
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function looksLikeJWT(token) {
+  return /^eyJ[\w-]*\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * 从 JWKS 中选择验证密钥：有 kid 时按 kid 匹配，否则取第一个类型相符的签名密钥
+ * @param {{keys: Object[]}} jwks
+ * @param {{alg: string, kid?: string}} header
+ * @returns {Object|undefined}
+ */
+function findJWK(jwks, header) {
+  const kty = header.alg.startsWith("ES") ? "EC" : "RSA";
+  return (jwks?.keys || []).find(
+    (jwk) =>
+      jwk.kty === kty &&
+      (!jwk.use || jwk.use === "sig") &&
+      (!jwk.alg || jwk.alg === header.alg) &&
+      (!header.kid || jwk.kid === header.kid),
+  );
+}
+
+/**
+ * 导入验证密钥
+ * @param {{alg: string, kid?: string}} header
+ * @param {JWTVerifyOptions} options
+ * @returns {Promise<CryptoKey>}
+ */
+async function importVerifyKey(header, { secret, jwks }) {
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (algorithm.name === "HMAC") {
+    if (!secret) throw new JWTError("No shared secret configured for HMAC tokens");
+    return crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(secret),
+      { name: "HMAC", hash: algorithm.hash },
+      false,
+      ["verify"],
+    );
+  }
+
+  const jwk = findJWK(jwks, header);
+  if (!jwk) throw new JWTError("No matching key in JWKS");
+  const params =
+    algorithm.name === "ECDSA"
+      ? { name: "ECDSA", namedCurve: algorithm.namedCurve }
+      : { name: algorithm.name, hash: algorithm.hash };
+  // key_ops 可能只声明了 encrypt 等用途，导入时以本处用途为准
+  const keyData = { ...jwk };
+  delete keyData.key_ops;
+  return crypto.subtle.importKey("jwk", keyData, params, false, ["verify"]);
+}
+
+/**
+ * 验证 JWT 并返回 payload
+ * @param {string} token
+ * @param {JWTVerifyOptions} options
+ * @returns {Promise<Object>} payload
+ * @throws {JWTError}
+ */
+export async function verifyJWT(token, options) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new JWTError("Malformed token");
+
+  let header;
+  let payload;
+  let signature;
+  try {
+    header = decodeJSONPart(parts[0]);
+    payload = decodeJSONPart(parts[1]);
+    signature = base64UrlDecode(parts[2]);
+  } catch {
+    throw new JWTError("Malformed token");
+  }
+  if (!payload || typeof payload !== "object") {
+    throw new JWTError("Malformed token");
+  }
+  if (!header || !ALGORITHMS[header.alg]) {
+    throw new JWTError(`Unsupported algorithm: ${header?.alg}`);
+  }
+
+  let key;
+  try {
+    key = await importVerifyKey(header, options);
+  } catch (err) {
+    if (err instanceof JWTError) throw err;
+    throw new JWTError(`Invalid key: ${err.message}`);
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  const valid = await crypto.subtle.verify(
+    algorithm.name === "ECDSA" ? { name: "ECDSA", hash: algorithm.hash } : algorithm.name,
+    key,
+    signature,
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+  );
+  if (!valid) throw new JWTError("Invalid signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (options.requireExp && typeof payload.exp !== "number") {
+    throw new JWTError("Missing exp claim");
+  }
+  if (typeof payload.exp === "number" && now > payload.exp + CLOCK_TOLERANCE_SECONDS) {
+    throw new JWTError("Token expired");
+  }
+  if (typeof payload.nbf === "number" && now + CLOCK_TOLERANCE_SECONDS < payload.nbf) {
+    throw new JWTError("Token not yet valid");
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw new JWTError("Unexpected issuer");
+  }
+  if (options.audience && ![].concat(payload.aud ?? []).includes(options.audience)) {
+    throw new JWTError("Unexpected audience");
+  }
+
+  return payload;
+}
@@ -0,0 +1,88 @@
+/**
+ * KV Read-Through Cache
+ * 在 isolate 内用 LRU 缓存 get 结果，减少下载时每个分片重复读取元数据
+ *
+ * - 仅缓存存在的值，缺失的键每次都回源，避免其他 isolate 新写入的数据不可见
+ * - 本 isolate 内 put/delete 在写入前后都会失效，写入期间开始的读取不写入缓存；其他 isolate 的修改最多延迟 TTL 可见
+ * - 需要强一致的读取（如下载计数）传入 { cache: false } 跳过缓存
+ */
+
+/**
+ * 为 KV 适配器添加读缓存
+ * @param {import('./kv.js').KVAdapter} adapter
+ * @param {{ttlMs: number, maxEntries: number}} options
+ * @returns {import('./kv.js').KVAdapter}
+ */
+export function createCachedKVAdapter(adapter, { ttlMs, maxEntries }) {
+  // Map 按插入顺序迭代，命中时重新插入即可实现 LRU
+  /** @type {Map<string, {value: string, expiresAt: number}>} */
+  const entries = new Map();
+
+  // 每次 put/delete 开始和结束时递增；读取期间有写入时，读到的可能是旧值，不写入缓存
+  let generation = 0;
+
+  function parse(value, type) {
+    return type === "json" ? JSON.parse(value) : value;
+  }
+
+  /**
+   * 写入前后都使缓存失效，避免写入期间并发的读取缓存旧值
+   * @param {string} key
+   * @param {() => Promise<void>} write
+   */
+  async function invalidating(key, write) {
+    generation++;
+    entries.delete(key);
+    try {
+      await write();
+    } finally {
+      generation++;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key, options = {}) {
+      const type = options.type || "text";
+      if (options.cache === false) {
+        return adapter.get(key, options);
+      }
+
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        if (entry.expiresAt > Date.now()) {
+          entries.set(key, entry);
+          return parse(entry.value, type);
+        }
+      }
+
+      // 统一以文本缓存，json 每次重新解析，避免调用方修改对象污染缓存
+      const startedAt = generation;
+      const value = await adapter.get(key, { ...options, type: "text" });
+      if (value === null || value === undefined) {
+        return null;
+      }
+      if (generation !== startedAt) {
+        return parse(value, type);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return parse(value, type);
+    },
+
+    async put(key, value, options) {
+      await invalidating(key, () => adapter.put(key, value, options));
+    },
+
+    async delete(key) {
+      await invalidating(key, () => adapter.delete(key));
+    },
+
+    async list(options) {
+      return adapter.list(options);
+    },
+  };
+}
@@ -3,12 +3,32 @@
  * 提供统一的 KV 存储接口，支持多种后端实现
  */
 
+import config from "../config/config.js";
+import { createCachedKVAdapter } from "./cache.js";
+
+// 读缓存的默认最大条目数（KV_CACHE_TTL_MS > 0 时启用缓存）
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+
 /**
  * @typedef {Object} KVAdapter
- * @property {(key: string, options?: {type?: 'text'|'json'}) => Promise<any>} get - 获取值
+ * @property {(key: string, options?: {type?: 'text'|'json', cache?: boolean}) => Promise<any>} get - 获取值（cache: false 时跳过读缓存）
  * @property {(key: string, value: string|object, options?: {expirationTtl?: number}) => Promise<void>} put - 存储值
  * @property {(key: string) => Promise<void>} delete - 删除值
- * @property {(options?: {prefix?: string}) => Promise<{keys: {name: string}[]}>} list - 列出键
+ * @property {(options?: KVListOptions) => Promise<KVListResult>} list - 列出键（分页）
+ */
+
+/**
+ * @typedef {Object} KVListOptions
+ * @property {string} [prefix] - 键前缀
+ * @property {string} [cursor] - 上一页返回的游标
+ * @property {number} [limit] - 每页最多返回的键数
+ */
+
+/**
+ * @typedef {Object} KVListResult
+ * @property {{name: string}[]} keys
+ * @property {boolean} [list_complete] - 是否已是最后一页
+ * @property {string} [cursor] - 下一页游标，最后一页时为空
  */
 
 // --- 插件注册系统 ---
@@ -16,9 +36,12 @@
 /** @type {Object<string, (namespace: string) => KVAdapter>} */
 const adapters = {};
 
-/** @type {Object<string, KVAdapter>} */
+/** @type {Object<string, {adapter: KVAdapter, version: number}>} 缓存的实例及创建时的配置快照序号 */
 const instances = {};
 
+/** @type {number} 最近一次 KV 配置变化时的快照序号，更早快照创建的实例不再缓存 */
+let minVersion = 0;
+
 /**
  * 注册 KV 适配器
  * @param {string} name - 适配器名称
@@ -30,25 +53,43 @@ export function registerKVAdapter(name, factory) {
 
 /**
  * 获取 KV 适配器实例
+ * 根据 KV_BACKEND 配置选择适配器，未配置时使用第一个注册的适配器
+ * 配置 KV_CACHE_TTL_MS 时在适配器外层添加读缓存
  * @param {string} namespace - 命名空间
  * @returns {KVAdapter}
  */
 export function getKV(namespace) {
   // 缓存实例
-  if (instances[namespace]) {
-    return instances[namespace];
+  const cached = instances[namespace];
+  if (cached && cached.version >= minVersion) {
+    return cached.adapter;
   }
 
-  // 按优先级尝试适配器
   const adapterNames = Object.keys(adapters);
   if (adapterNames.length === 0) {
     throw new Error("No KV adapter registered");
   }
 
-  // 使用第一个可用的适配器
-  const factory = adapters[adapterNames[0]];
-  instances[namespace] = factory(namespace);
-  return instances[namespace];
+  const backendType = config.getString("KV_BACKEND", adapterNames[0]);
+  const factory = adapters[backendType];
+  if (!factory) {
+    throw new Error(`Unknown KV backend: ${backendType}. Available: ${adapterNames.join(", ")}`);
+  }
+
+  let adapter = factory(namespace);
+  const cacheTtlMs = config.getInt("KV_CACHE_TTL_MS", 0);
+  if (cacheTtlMs > 0) {
+    adapter = createCachedKVAdapter(adapter, {
+      ttlMs: cacheTtlMs,
+      maxEntries: config.getInt("KV_CACHE_MAX_ENTRIES", DEFAULT_CACHE_MAX_ENTRIES),
+    });
+  }
+  // 仍在旧快照上的请求只为自己创建实例，不写入缓存
+  const version = config.getVersion();
+  if (version >= minVersion) {
+    instances[namespace] = { adapter, version };
+  }
+  return adapter;
 }
 
 /**
@@ -59,3 +100,14 @@ export function clearKVCache() {
     delete instances[key];
   }
 }
+
+// KV 相关配置变化时重新创建适配器实例
+config.onChange((changedKeys) => {
+  for (const key of changedKeys) {
+    if (key.startsWith("KV_") || key === "SQLITE_PATH") {
+      minVersion = config.getLatestVersion();
+      clearKVCache();
+      return;
+    }
+  }
+});
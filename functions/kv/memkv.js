@@ -0,0 +1,142 @@
+/**
+ * Memory KV Adapter for Node.js
+ * 数据保存在进程内存中；配置 KV_DATA_DIR 时同时写入追加日志文件，重启后可恢复
+ *
+ * 日志文件：{KV_DATA_DIR}/{namespace}.jsonl，每行一条操作
+ *   {"op":"put","key":"...","value":"...","expiresAt":1700000000000}
+ *   {"op":"delete","key":"..."}
+ * 启动时重放日志并压缩为仅包含有效数据的新文件
+ */
+
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import config from "../config/config.js";
+import { registerKVAdapter } from "./kv.js";
+
+// list 每页默认返回的键数（与 Cloudflare KV 一致）
+const DEFAULT_LIST_LIMIT = 1000;
+
+/**
+ * 从日志文件恢复数据，并将日志压缩为当前快照
+ * @param {string} file
+ * @returns {Map<string, {value: string, expiresAt?: number}>}
+ */
+function loadLog(file) {
+  const entries = new Map();
+  if (!existsSync(file)) return entries;
+
+  for (const line of readFileSync(file, "utf8").split("\n")) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // 写入中断留下的不完整行
+      continue;
+    }
+    if (record.op === "put") {
+      entries.set(record.key, { value: record.value, expiresAt: record.expiresAt });
+    } else if (record.op === "delete") {
+      entries.delete(record.key);
+    }
+  }
+
+  const now = Date.now();
+  const lines = [];
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      entries.delete(key);
+      continue;
+    }
+    lines.push(JSON.stringify({ op: "put", key, ...entry }) + "\n");
+  }
+  writeFileSync(file + ".tmp", lines.join(""));
+  renameSync(file + ".tmp", file);
+  return entries;
+}
+
+/**
+ * 内存 KV 适配器
+ * @param {string} namespace
+ * @returns {import('./kv.js').KVAdapter}
+ */
+function createMemoryKVAdapter(namespace) {
+  const dataDir = config.getString("KV_DATA_DIR");
+  let file = null;
+  if (dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    file = join(dataDir, `${namespace}.jsonl`);
+  }
+
+  /** @type {Map<string, {value: string, expiresAt?: number}>} */
+  const entries = file ? loadLog(file) : new Map();
+
+  function append(record) {
+    if (file) {
+      appendFileSync(file, JSON.stringify(record) + "\n");
+    }
+  }
+
+  // 过期的键惰性删除
+  function getEntry(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      append({ op: "delete", key });
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key, options = {}) {
+      const entry = getEntry(key);
+      if (!entry) return null;
+      return options.type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      const data = typeof value === "object" ? JSON.stringify(value) : String(value);
+      const expiresAt = options.expirationTtl
+        ? Date.now() + options.expirationTtl * 1000
+        : undefined;
+      entries.set(key, { value: data, expiresAt });
+      append({ op: "put", key, value: data, expiresAt });
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) {
+        append({ op: "delete", key });
+      }
+    },
+
+    // cursor 为上一页最后一个键，删除键不会导致分页错位
+    async list(options = {}) {
+      const prefix = options.prefix || "";
+      const limit = options.limit || DEFAULT_LIST_LIMIT;
+      const names = [...entries.keys()]
+        .filter((key) => key.startsWith(prefix) && (!options.cursor || key > options.cursor))
+        .sort()
+        .filter((key) => getEntry(key));
+
+      const keys = names.slice(0, limit).map((name) => ({ name }));
+      const complete = names.length <= limit;
+      return {
+        keys,
+        list_complete: complete,
+        cursor: complete ? undefined : keys[keys.length - 1].name,
+      };
+    },
+  };
+}
+
+registerKVAdapter("memory", createMemoryKVAdapter);
+
+export { createMemoryKVAdapter };
@@ -0,0 +1,128 @@
+/**
+ * SQLite KV Adapter for Node.js
+ * 使用 SQLite 文件持久化元数据，适合无外部 KV 服务的自托管部署
+ *
+ * 数据库文件由 SQLITE_PATH 配置（需要安装可选依赖 better-sqlite3），Node.js 入口在设置后默认使用该适配器
+ * 所有命名空间共用一个数据库文件；过期的键在读取或列出时惰性删除，行为与 EdgeKV 一致
+ */
+
+import { mkdirSync } from "node:fs";
+import { createRequire } from "node:module";
+import { dirname } from "node:path";
+import { registerKVAdapter } from "./kv.js";
+import config from "../config/config.js";
+
+// list 每页默认返回的键数（与 Cloudflare KV 一致）
+const DEFAULT_LIST_LIMIT = 1000;
+
+/**
+ * 按路径共享的数据库连接
+ * SQLITE_PATH 变化后旧连接不关闭，仍在旧配置快照上的请求可继续使用
+ * @type {Map<string, Object>}
+ */
+const databases = new Map();
+
+/**
+ * 打开 SQLITE_PATH 对应的数据库（每个路径一个连接），首次打开时建表
+ * @returns {Object} better-sqlite3 Database
+ */
+function openDB() {
+  const path = config.getString("SQLITE_PATH");
+  if (!path) {
+    throw new Error("SQLite KV adapter requires SQLITE_PATH");
+  }
+  if (databases.has(path)) return databases.get(path);
+
+  let Database;
+  try {
+    Database = createRequire(import.meta.url)("better-sqlite3");
+  } catch {
+    throw new Error("SQLite KV adapter requires better-sqlite3. Run `npm install better-sqlite3`.");
+  }
+
+  if (path !== ":memory:") {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS kv_expires_at ON kv (expires_at) WHERE expires_at IS NOT NULL;
+  `);
+  databases.set(path, db);
+  return db;
+}
+
+/**
+ * SQLite KV 适配器
+ * @param {string} namespace
+ * @returns {import('./kv.js').KVAdapter}
+ */
+function createSQLiteKVAdapter(namespace) {
+  const database = openDB();
+  const statements = {
+    get: database.prepare("SELECT value, expires_at FROM kv WHERE namespace = ? AND key = ?"),
+    put: database.prepare(
+      `INSERT INTO kv (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+    ),
+    delete: database.prepare("DELETE FROM kv WHERE namespace = ? AND key = ?"),
+    deleteExpired: database.prepare(
+      "DELETE FROM kv WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?",
+    ),
+    list: database.prepare(
+      `SELECT key FROM kv
+       WHERE namespace = ? AND substr(key, 1, length(?)) = ? AND key > ?
+       ORDER BY key LIMIT ?`,
+    ),
+  };
+
+  return {
+    async get(key, options = {}) {
+      const row = statements.get.get(namespace, key);
+      if (!row) return null;
+      if (row.expires_at !== null && row.expires_at <= Date.now()) {
+        statements.delete.run(namespace, key);
+        return null;
+      }
+      return options.type === "json" ? JSON.parse(row.value) : row.value;
+    },
+
+    async put(key, value, options = {}) {
+      const data = typeof value === "object" ? JSON.stringify(value) : String(value);
+      const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+      statements.put.run(namespace, key, data, expiresAt);
+    },
+
+    async delete(key) {
+      statements.delete.run(namespace, key);
+    },
+
+    // cursor 为上一页最后一个键，删除键不会导致分页错位
+    async list(options = {}) {
+      const prefix = options.prefix || "";
+      const limit = options.limit || DEFAULT_LIST_LIMIT;
+      statements.deleteExpired.run(namespace, Date.now());
+
+      // 多取一条用于判断是否还有下一页
+      const rows = statements.list.all(namespace, prefix, prefix, options.cursor || "", limit + 1);
+      const keys = rows.slice(0, limit).map((row) => ({ name: row.key }));
+      const complete = rows.length <= limit;
+      return {
+        keys,
+        list_complete: complete,
+        cursor: complete ? undefined : keys[keys.length - 1].name,
+      };
+    },
+  };
+}
+
+registerKVAdapter("sqlite", createSQLiteKVAdapter);
+
+export { createSQLiteKVAdapter };
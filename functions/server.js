@@ -0,0 +1,53 @@
+/**
+ * MegaShare Node.js 入口
+ * 在普通 Linux 主机上通过 `node functions/server.js` 同时提供前端静态资源（dist）和 API
+ *
+ * 配置从环境变量读取；默认使用本地文件系统存储（fs）和内存 KV（配置 KV_DATA_DIR 后持久化），
+ * 设置 SQLITE_PATH 时使用 SQLite KV
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { fileURLToPath } from "node:url";
+import { serve } from "@hono/node-server";
+import { serveStatic } from "@hono/node-server/serve-static";
+
+// 导入 KV 适配器、Config Provider 和存储后端以触发插件注册
+// 默认使用 memory 适配器，设置 SQLITE_PATH 时默认使用 sqlite（见下方）
+import "./kv/memkv.js";
+import "./kv/sqlitekv.js";
+import "./config/providers/env.js";
+import "./storage/fs.js";
+import config from "./config/config.js";
+import app from "./index.js";
+
+// 未设置 STORAGE_BACKEND 时默认使用本地存储
+config.setDefault("STORAGE_BACKEND", "fs");
+
+// 每个请求使用独立的配置快照
+config.setContextStorage(new AsyncLocalStorage());
+
+const distDir = fileURLToPath(new URL("../dist", import.meta.url));
+
+// API 之外的请求返回前端静态资源，未找到时回退到 index.html
+const spaFallback = serveStatic({ root: distDir, path: "index.html" });
+app.use("*", serveStatic({ root: distDir }));
+app.get("*", (c, next) => (c.req.path.startsWith("/api/") ? next() : spaFallback(c, next)));
+
+// 启动时校验配置，缺少必需配置或格式错误时退出（问题已在加载时输出到日志）
+await config.load();
+if (config.hasErrors()) {
+  console.error("[Config] Invalid configuration, exiting");
+  process.exit(1);
+}
+
+// 设置 SQLITE_PATH 时元数据默认保存在 SQLite 中（显式设置 KV_BACKEND 时以其为准）
+if (config.getString("SQLITE_PATH")) {
+  config.setDefault("KV_BACKEND", "sqlite");
+}
+
+const port = parseInt(process.env.PORT || "3000", 10);
+const hostname = process.env.HOST || "0.0.0.0";
+
+serve({ fetch: app.fetch, port, hostname }, (info) => {
+  console.log(`MegaShare listening on http://${info.address}:${info.port}`);
+});
@@ -0,0 +1,246 @@
+/**
+ * 本地文件系统存储后端实现
+ * 用于本地开发和小规模自托管（Node.js 运行时），通过 STORAGE_BACKEND=fs 选择
+ *
+ * 分片保存在 FS_STORAGE_DIR（默认 ./data/storage）下，每个分享一个目录：
+ *   {FS_STORAGE_DIR}/{fileId}/chunk_{index}
+ * 仅支持代理模式上传和下载
+ */
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { mkdir, readdir, rename, rm, stat } from "node:fs/promises";
+import { join, resolve, sep } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import config from "../config/config.js";
+import { registerBackend } from "./storage.js";
+
+// listFolders 每页返回的文件夹数
+const FOLDER_PAGE_SIZE = 1000;
+
+/**
+ * 解析单个 Range 头（bytes=start-end / bytes=start- / bytes=-suffix）
+ * @param {string} range
+ * @param {number} size - 文件大小
+ * @returns {{start: number, end: number}}
+ * @throws {Error} 范围无法满足时抛出 name 为 InvalidRange 的错误
+ */
+function parseRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range);
+  let start = NaN;
+  let end = size - 1;
+  if (match && match[1] !== "") {
+    start = parseInt(match[1], 10);
+    if (match[2] !== "") end = Math.min(end, parseInt(match[2], 10));
+  } else if (match && match[2] !== "") {
+    start = Math.max(0, size - parseInt(match[2], 10));
+  }
+  if (isNaN(start) || start >= size || start > end) {
+    const err = new Error(`Invalid range: ${range}`);
+    err.name = "InvalidRange";
+    throw err;
+  }
+  return { start, end };
+}
+
+/**
+ * 根据文件大小和修改时间生成 ETag
+ * @param {import('node:fs').Stats} stats
+ * @returns {string}
+ */
+function getETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// --- StorageBackend 接口适配 ---
+
+/**
+ * 本地文件系统存储后端
+ * @implements {import('./storage.js').StorageBackend}
+ */
+class FSBackend {
+  constructor(root) {
+    this.root = root;
+    this.supportsDirectUrl = false;
+    this.supportsDirectUpload = false;
+    this.supportsFolderDelete = true; // 删除目录即递归删除其中所有分片
+  }
+
+  /**
+   * 将 fileId/folderId 转换为存储目录下的绝对路径，拒绝越出存储目录的路径
+   * @param {string} id
+   * @returns {string}
+   */
+  _path(id) {
+    const path = resolve(this.root, id);
+    if (path !== this.root && !path.startsWith(this.root + sep)) {
+      throw new Error(`Invalid file path: ${id}`);
+    }
+    return path;
+  }
+
+  /**
+   * 在根目录创建文件夹
+   */
+  async createFolder(name) {
+    await mkdir(this._path(name), { recursive: true });
+    return { folderId: name + "/" };
+  }
+
+  /**
+   * 本地存储不支持直传
+   */
+  async createFileAndGetUploadUrl() {
+    throw new Error("Direct upload is not supported by the fs storage backend");
+  }
+
+  /**
+   * 完成上传（代理上传写入完成即可，无需额外操作）
+   */
+  async completeUpload() {}
+
+  /**
+   * 代理上传文件
+   * 先写入临时文件再重命名，避免中断的上传留下不完整的分片
+   */
+  async uploadFile(parentId, name, data) {
+    const fileId = parentId + name;
+    const path = this._path(fileId);
+    const tmpPath = `${path}.${Date.now()}.tmp`;
+    await mkdir(this._path(parentId), { recursive: true });
+
+    const source =
+      data instanceof ReadableStream
+        ? Readable.fromWeb(data)
+        : Readable.from([data instanceof ArrayBuffer ? new Uint8Array(data) : data]);
+    try {
+      await pipeline(source, createWriteStream(tmpPath));
+      await rename(tmpPath, path);
+    } catch (err) {
+      await rm(tmpPath, { force: true });
+      throw err;
+    }
+    return { fileId };
+  }
+
+  /**
+   * 本地存储不提供直链
+   */
+  async getDownloadUrl() {
+    return null;
+  }
+
+  /**
+   * 流式获取文件内容
+   * 支持 Range；If-Range 与文件 ETag 不一致时返回完整内容
+   */
+  async streamFile(fileId, { range, ifRange } = {}) {
+    const path = this._path(fileId);
+    const stats = await stat(path);
+    const etag = getETag(stats);
+
+    const headers = {
+      "Content-Type": "application/octet-stream",
+      "Accept-Ranges": "bytes",
+      ETag: etag,
+    };
+    if (range && (!ifRange || ifRange === etag)) {
+      const { start, end } = parseRange(range, stats.size);
+      headers["Content-Length"] = String(end - start + 1);
+      headers["Content-Range"] = `bytes ${start}-${end}/${stats.size}`;
+      const body = Readable.toWeb(createReadStream(path, { start, end }));
+      return new Response(body, { status: 206, headers });
+    }
+    headers["Content-Length"] = String(stats.size);
+    return new Response(Readable.toWeb(createReadStream(path)), { status: 200, headers });
+  }
+
+  /**
+   * 列出文件夹中的文件（忽略未写完的临时文件）
+   */
+  async listFiles(parentId) {
+    const dir = this._path(parentId);
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return { items: [] };
+      throw err;
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.endsWith(".tmp")) continue;
+      const stats = await stat(join(dir, entry.name));
+      items.push({
+        fileId: parentId + entry.name,
+        name: entry.name,
+        type: "file",
+        size: stats.size,
+        lastModified: Math.floor(stats.mtimeMs),
+      });
+    }
+    return { items };
+  }
+
+  /**
+   * 分页列出根目录下的文件夹（按名称排序，游标为上一页最后一个文件夹名）
+   * lastModified 为文件夹本身的修改时间，用于判断尚未写入分片的空文件夹
+   */
+  async listFolders({ cursor } = {}) {
+    let entries;
+    try {
+      entries = await readdir(this.root, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return { items: [], cursor: null };
+      throw err;
+    }
+
+    const names = entries
+      .filter((entry) => entry.isDirectory() && (!cursor || entry.name > cursor))
+      .map((entry) => entry.name)
+      .sort();
+    const page = names.slice(0, FOLDER_PAGE_SIZE);
+
+    const items = [];
+    for (const name of page) {
+      const folderStats = await stat(this._path(name + "/"));
+      items.push({
+        fileId: name + "/",
+        name,
+        type: "folder",
+        lastModified: Math.floor(folderStats.mtimeMs),
+      });
+    }
+    return { items, cursor: names.length > page.length ? page[page.length - 1] : null };
+  }
+
+  /**
+   * 删除文件或文件夹（文件夹递归删除）
+   */
+  async deleteFile(fileIds) {
+    const ids = Array.isArray(fileIds) ? fileIds : [fileIds];
+    for (const id of ids) {
+      const path = this._path(id);
+      if (path === this.root) {
+        throw new Error("Refusing to delete the storage root");
+      }
+      await rm(path, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * 创建本地文件系统后端实例
+ * @returns {Promise<FSBackend>}
+ */
+export async function createFSBackend() {
+  const root = resolve(config.getString("FS_STORAGE_DIR", "./data/storage"));
+  await mkdir(root, { recursive: true });
+  return new FSBackend(root);
+}
+
+// --- 插件自注册 ---
+registerBackend("fs", createFSBackend);
+
+export { FSBackend };
@@ -0,0 +1,290 @@
+/**
+ * Cloudflare R2 存储后端实现
+ * 通过 Worker 的 R2 bucket binding 读写对象，无需 AWS SDK 凭证
+ *
+ * 配置了 R2 的 S3 API 凭证（R2_ACCOUNT_ID、R2_ACCESS_KEY_ID、R2_SECRET_ACCESS_KEY、
+ * R2_BUCKET_NAME）时，额外支持预签名 URL 直传和直链下载
+ */
+
+import config from "../config/config.js";
+import { registerBackend } from "./storage.js";
+import { S3Client, S3Backend } from "./s3.js";
+
+// R2 binding.delete 单次最多删除的对象数
+const DELETE_BATCH_SIZE = 1000;
+
+/** @type {Object|null} Worker env（包含 R2 bucket binding） */
+let r2Env = null;
+
+/**
+ * 设置 Cloudflare Worker 环境对象（从 Worker env 传入）
+ * @param {Object} env
+ */
+export function setR2Env(env) {
+  r2Env = env;
+}
+
+/**
+ * 获取 R2 bucket binding
+ * binding 名称默认为 R2_BUCKET，可通过 R2_BINDING 配置（需与 wrangler.toml 一致）
+ * @returns {Object}
+ */
+function getBucket() {
+  const bindingName = config.getString("R2_BINDING", "R2_BUCKET");
+  const bucket = r2Env?.[bindingName];
+  if (!bucket) {
+    throw new Error(`R2 binding "${bindingName}" not found. Check wrangler.toml configuration.`);
+  }
+  return bucket;
+}
+
+/**
+ * 创建用于生成预签名 URL 的 S3 后端（R2 的 S3 兼容 API）
+ * 未配置 S3 API 凭证时返回 null，仅支持代理模式
+ * @param {string} prefix
+ * @returns {S3Backend|null}
+ */
+function createPresigner(prefix) {
+  const accountId = config.get("R2_ACCOUNT_ID");
+  const accessKeyId = config.get("R2_ACCESS_KEY_ID");
+  const accessKeySecret = config.get("R2_SECRET_ACCESS_KEY");
+  const bucket = config.get("R2_BUCKET_NAME");
+  if (!accountId || !accessKeyId || !accessKeySecret || !bucket) {
+    return null;
+  }
+
+  const client = new S3Client({
+    endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
+    bucket,
+    accessKeyId,
+    accessKeySecret,
+    region: "auto",
+    prefix,
+  });
+  return new S3Backend(client);
+}
+
+/**
+ * 根据 R2 返回的 range 计算 Content-Range 的起止字节
+ * @param {{offset?: number, length?: number, suffix?: number}} range
+ * @param {number} size - 对象总大小
+ * @returns {{start: number, end: number}}
+ */
+function resolveRange(range, size) {
+  if (range.suffix !== undefined) {
+    return { start: Math.max(0, size - range.suffix), end: size - 1 };
+  }
+  const start = range.offset || 0;
+  const length = range.length ?? size - start;
+  return { start, end: Math.min(size, start + length) - 1 };
+}
+
+// --- StorageBackend 接口适配 ---
+
+/**
+ * R2 存储后端
+ * @implements {import('./storage.js').StorageBackend}
+ */
+class R2Backend {
+  constructor(bucket, prefix, presigner) {
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.presigner = presigner;
+    this.supportsDirectUrl = !!presigner && config.getBool("R2_SUPPORTS_DIRECT_URL", true);
+    this.supportsDirectUpload = !!presigner && config.getBool("R2_SUPPORTS_DIRECT_UPLOAD", true);
+    this.supportsFolderDelete = false; // R2 与 S3 一样没有文件夹概念，需逐个删除
+  }
+
+  _key(path) {
+    return this.prefix + path;
+  }
+
+  /**
+   * 列出前缀下的全部对象（自动翻页）
+   * @returns {Promise<Array<{key: string, size: number, lastModified: number}>>} key 不含全局前缀
+   */
+  async _listObjects(prefix) {
+    const objects = [];
+    let cursor;
+    do {
+      const result = await this.bucket.list({ prefix: this._key(prefix), cursor });
+      for (const item of result.objects) {
+        objects.push({
+          key: item.key.slice(this.prefix.length),
+          size: item.size,
+          lastModified: item.uploaded ? new Date(item.uploaded).getTime() : 0,
+        });
+      }
+      cursor = result.truncated ? result.cursor : undefined;
+    } while (cursor);
+    return objects;
+  }
+
+  /**
+   * 创建"文件夹"（R2 没有真正的文件夹，只是前缀）
+   */
+  async createFolder(name) {
+    return { folderId: name + "/" };
+  }
+
+  /**
+   * 创建文件并返回预签名上传 URL（需配置 S3 API 凭证）
+   */
+  async createFileAndGetUploadUrl(parentId, name, size, hash = "") {
+    if (!this.presigner) {
+      throw new Error("R2 direct upload requires R2 S3 API credentials");
+    }
+    return this.presigner.createFileAndGetUploadUrl(parentId, name, size, hash);
+  }
+
+  /**
+   * 完成上传（multipart 直传需合并各 part，代理上传无需操作）
+   */
+  async completeUpload(fileId, uploadId, hash = "", parts = []) {
+    if (!this.presigner) {
+      return;
+    }
+    await this.presigner.completeUpload(fileId, uploadId, hash, parts);
+  }
+
+  /**
+   * 放弃未完成的 multipart 上传
+   */
+  async abortUpload(fileId, uploadId) {
+    if (!this.presigner) {
+      return;
+    }
+    await this.presigner.abortUpload(fileId, uploadId);
+  }
+
+  /**
+   * 分页列出未完成的 multipart 上传（multipart 只用于预签名直传）
+   */
+  async listPendingUploads(options) {
+    if (!this.presigner) {
+      return { items: [], cursor: null };
+    }
+    return this.presigner.listPendingUploads(options);
+  }
+
+  /**
+   * 代理上传文件
+   * R2 binding 要求流的长度已知，请求体流需先读入内存
+   */
+  async uploadFile(parentId, name, data) {
+    const key = parentId + name;
+    const body = data instanceof ReadableStream ? await new Response(data).arrayBuffer() : data;
+    await this.bucket.put(this._key(key), body, {
+      httpMetadata: { contentType: "application/octet-stream" },
+    });
+    return { fileId: key };
+  }
+
+  /**
+   * 获取下载 URL（预签名，需配置 S3 API 凭证）
+   */
+  async getDownloadUrl(fileId) {
+    if (!this.presigner) {
+      return null;
+    }
+    return this.presigner.getDownloadUrl(fileId);
+  }
+
+  /**
+   * 流式获取文件内容
+   * 支持 Range 透传；If-Range 与对象 ETag 不一致时返回完整内容
+   */
+  async streamFile(fileId, { range, ifRange } = {}) {
+    const key = this._key(fileId);
+    let object;
+    try {
+      object = await this.bucket.get(key, range ? { range: new Headers({ Range: range }) } : {});
+    } catch (err) {
+      if (range && /range/i.test(err.message)) {
+        const rangeError = new Error(`Invalid range for ${fileId}: ${range}`);
+        rangeError.name = "InvalidRange";
+        throw rangeError;
+      }
+      throw err;
+    }
+    if (range && ifRange && object && object.httpEtag !== ifRange) {
+      await object.body.cancel();
+      object = await this.bucket.get(key);
+    }
+    if (!object) {
+      throw new Error(`Object not found: ${fileId}`);
+    }
+
+    const headers = {
+      "Content-Type": object.httpMetadata?.contentType || "application/octet-stream",
+      "Accept-Ranges": "bytes",
+      ETag: object.httpEtag,
+    };
+    if (range && object.range) {
+      const { start, end } = resolveRange(object.range, object.size);
+      headers["Content-Length"] = String(end - start + 1);
+      headers["Content-Range"] = `bytes ${start}-${end}/${object.size}`;
+      return new Response(object.body, { status: 206, headers });
+    }
+    headers["Content-Length"] = String(object.size);
+    return new Response(object.body, { status: 200, headers });
+  }
+
+  /**
+   * 列出"文件夹"（前缀）下的文件
+   */
+  async listFiles(parentId) {
+    const objects = await this._listObjects(parentId);
+    return {
+      items: objects.map(({ key, size, lastModified }) => ({
+        fileId: key,
+        name: key.slice(parentId.length),
+        type: "file",
+        size,
+        lastModified,
+      })),
+    };
+  }
+
+  /**
+   * 分页列出根目录下的"文件夹"（第一级前缀），每页只返回名称，不列出其中的对象
+   */
+  async listFolders({ cursor } = {}) {
+    const result = await this.bucket.list({
+      prefix: this.prefix,
+      delimiter: "/",
+      cursor: cursor || undefined,
+    });
+    return {
+      items: (result.delimitedPrefixes || []).map((prefix) => {
+        const name = prefix.slice(this.prefix.length, -1);
+        return { fileId: name + "/", name, type: "folder" };
+      }),
+      cursor: result.truncated ? result.cursor : null,
+    };
+  }
+
+  /**
+   * 删除文件（binding 支持一次删除多个 key，每批最多 1000 个）
+   */
+  async deleteFile(fileIds) {
+    const keys = (Array.isArray(fileIds) ? fileIds : [fileIds]).map((id) => this._key(id));
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await this.bucket.delete(keys.slice(i, i + DELETE_BATCH_SIZE));
+    }
+  }
+}
+
+/**
+ * 创建 R2 后端实例
+ * @returns {Promise<R2Backend>}
+ */
+export async function createR2Backend() {
+  const prefix = config.getString("R2_PREFIX", "megashare/");
+  return new R2Backend(getBucket(), prefix, createPresigner(prefix));
+}
+
+// --- 插件自注册 ---
+registerBackend("r2", createR2Backend);
+
+export { R2Backend };
@@ -8,11 +8,20 @@ import {
   PutObjectCommand,
   GetObjectCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
   ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListMultipartUploadsCommand,
 } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import config from "../config/config.js";
 
+// DeleteObjects 单次请求最多删除的对象数
+const DELETE_BATCH_SIZE = 1000;
+
 // --- 配置获取 ---
 
 function getS3Config() {
@@ -45,6 +54,19 @@ function getS3Config() {
   };
 }
 
+// 分片（part）大小：S3 要求除最后一个 part 外不小于 5MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 获取 multipart 上传的 part 大小，超过该大小的文件使用 multipart 上传
+ * 默认为 0（始终单次 PUT）：multipart 直传需要存储桶的 CORS 规则暴露 ETag，需显式开启
+ * @returns {number} 0 表示不使用 multipart
+ */
+function getPartSize() {
+  const partSize = config.getInt("S3_PART_SIZE", 0);
+  return partSize > 0 ? Math.max(MIN_PART_SIZE, partSize) : 0;
+}
+
 // --- S3 客户端 ---
 
 class S3Client {
@@ -78,10 +100,11 @@ class S3Client {
     return { key };
   }
 
-  async getObject(key) {
+  async getObject(key, range) {
     const command = new GetObjectCommand({
       Bucket: this.bucket,
       Key: this._key(key),
+      Range: range,
     });
     return this.client.send(command);
   }
@@ -94,6 +117,75 @@ class S3Client {
     await this.client.send(command);
   }
 
+  /**
+   * 批量删除对象（每批最多 1000 个）
+   * 任一对象删除失败时抛出错误，错误信息包含失败的 key
+   * @param {string[]} keys
+   */
+  async deleteObjects(keys) {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+      const command = new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: batch.map((key) => ({ Key: this._key(key) })),
+          Quiet: true,
+        },
+      });
+      const response = await this.client.send(command);
+      if (response.Errors && response.Errors.length > 0) {
+        const failed = response.Errors.map((e) => `${e.Key}: ${e.Code || e.Message}`);
+        throw new Error(`Failed to delete ${failed.length} objects (${failed.join(", ")})`);
+      }
+    }
+  }
+
+  /**
+   * 列出前缀下的全部对象（自动翻页）
+   * @returns {Promise<Array<{key: string, size: number, lastModified: number}>>} key 不含全局前缀
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+    do {
+      const command = new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this._key(prefix),
+        ContinuationToken: continuationToken,
+      });
+      const response = await this.client.send(command);
+      for (const item of response.Contents || []) {
+        objects.push({
+          key: item.Key.slice(this.prefix.length),
+          size: item.Size,
+          lastModified: item.LastModified ? new Date(item.LastModified).getTime() : 0,
+        });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+  }
+
+  /**
+   * 列出前缀下的下一级"文件夹"（单页，按 / 分隔）
+   * @param {string} prefix
+   * @param {string} [continuationToken]
+   * @returns {Promise<{prefixes: string[], next: string|null}>} prefixes 不含全局前缀和末尾的 /
+   */
+  async listPrefixes(prefix, continuationToken) {
+    const command = new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: this._key(prefix),
+      Delimiter: "/",
+      ContinuationToken: continuationToken,
+    });
+    const response = await this.client.send(command);
+    return {
+      prefixes: (response.CommonPrefixes || []).map((p) => p.Prefix.slice(this.prefix.length, -1)),
+      next: response.IsTruncated ? response.NextContinuationToken : null,
+    };
+  }
+
   async getSignedUploadUrl(key, expiresIn = 3600) {
     const command = new PutObjectCommand({
       Bucket: this.bucket,
@@ -103,6 +195,73 @@ class S3Client {
     return getSignedUrl(this.client, command, { expiresIn });
   }
 
+  async createMultipartUpload(key) {
+    const command = new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: this._key(key),
+      ContentType: "application/octet-stream",
+    });
+    const response = await this.client.send(command);
+    return response.UploadId;
+  }
+
+  async getSignedPartUrl(key, uploadId, partNumber, expiresIn = 3600) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: this._key(key),
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const command = new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: this._key(key),
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag })),
+      },
+    });
+    await this.client.send(command);
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    const command = new AbortMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: this._key(key),
+      UploadId: uploadId,
+    });
+    await this.client.send(command);
+  }
+
+  /**
+   * 列出前缀下未完成的 multipart 上传（单页）
+   * @param {string} prefix
+   * @param {{keyMarker?: string, uploadIdMarker?: string}} [marker]
+   * @returns {Promise<{uploads: Array<{key: string, uploadId: string, initiated: number}>, next: {keyMarker: string, uploadIdMarker: string}|null}>}
+   */
+  async listMultipartUploads(prefix, { keyMarker, uploadIdMarker } = {}) {
+    const command = new ListMultipartUploadsCommand({
+      Bucket: this.bucket,
+      Prefix: this._key(prefix),
+      KeyMarker: keyMarker,
+      UploadIdMarker: uploadIdMarker,
+    });
+    const response = await this.client.send(command);
+    return {
+      uploads: (response.Uploads || []).map((upload) => ({
+        key: upload.Key.slice(this.prefix.length),
+        uploadId: upload.UploadId,
+        initiated: upload.Initiated ? new Date(upload.Initiated).getTime() : 0,
+      })),
+      next: response.IsTruncated
+        ? { keyMarker: response.NextKeyMarker, uploadIdMarker: response.NextUploadIdMarker }
+        : null,
+    };
+  }
+
   async getSignedDownloadUrl(key, expiresIn = 3600) {
     const command = new GetObjectCommand({
       Bucket: this.bucket,
@@ -137,9 +296,33 @@ class S3Backend {
 
   /**
    * 创建文件并返回预签名上传 URL
+   * 超过 part 大小的文件使用 multipart 上传，返回每个 part 的预签名 URL，
+   * 客户端逐个上传 part 后将各 part 的 ETag 交给 completeUpload
    */
   async createFileAndGetUploadUrl(parentId, name, size, hash = "") {
     const key = parentId + name;
+    const partSize = getPartSize();
+    if (partSize && size > partSize) {
+      const uploadId = await this.client.createMultipartUpload(key);
+      const partCount = Math.ceil(size / partSize);
+      const parts = [];
+      for (let i = 0; i < partCount; i++) {
+        const partNumber = i + 1;
+        parts.push({
+          partNumber,
+          url: await this.client.getSignedPartUrl(key, uploadId, partNumber),
+          offset: i * partSize,
+          size: Math.min(partSize, size - i * partSize),
+        });
+      }
+      return {
+        fileId: key,
+        uploadId,
+        exist: false,
+        uploadSpec: { method: "PUT", parts },
+      };
+    }
+
     const uploadUrl = await this.client.getSignedUploadUrl(key);
 
     return {
@@ -157,11 +340,43 @@ class S3Backend {
   }
 
   /**
-   * 完成上传（S3 单次上传无需额外操作）
+   * 完成上传
+   * 单次 PUT 上传无需额外操作（uploadId 与 fileId 相同），multipart 上传需合并各 part
+   */
+  async completeUpload(fileId, uploadId, hash = "", parts = []) {
+    if (!uploadId || uploadId === fileId) {
+      return;
+    }
+    if (parts.length === 0) {
+      throw new Error("Missing parts for multipart upload");
+    }
+    await this.client.completeMultipartUpload(fileId, uploadId, parts);
+  }
+
+  /**
+   * 放弃未完成的 multipart 上传，释放已上传的 part
+   */
+  async abortUpload(fileId, uploadId) {
+    if (!uploadId || uploadId === fileId) {
+      return;
+    }
+    await this.client.abortMultipartUpload(fileId, uploadId);
+  }
+
+  /**
+   * 分页列出未完成的 multipart 上传（用于 GC 清理客户端放弃的上传）
+   * @param {{cursor?: string}} [options] - cursor 为上一页返回的游标
+   * @returns {Promise<{items: Array<{fileId: string, uploadId: string, initiated: number}>, cursor: string|null}>}
    */
-  async completeUpload(fileId, uploadId, hash = "") {
-    // S3 PUT 上传完成后无需额外调用
-    return;
+  async listPendingUploads({ cursor } = {}) {
+    const { uploads, next } = await this.client.listMultipartUploads(
+      "",
+      cursor ? JSON.parse(cursor) : {},
+    );
+    return {
+      items: uploads.map(({ key, uploadId, initiated }) => ({ fileId: key, uploadId, initiated })),
+      cursor: next ? JSON.stringify(next) : null,
+    };
   }
 
   /**
@@ -182,25 +397,66 @@ class S3Backend {
 
   /**
    * 流式获取文件内容
+   * 支持 Range 透传；If-Range 与对象 ETag 不一致时返回完整内容
    */
-  async streamFile(fileId) {
-    const response = await this.client.getObject(fileId);
+  async streamFile(fileId, { range, ifRange } = {}) {
+    let response = await this.client.getObject(fileId, range);
+    if (range && ifRange && response.ETag !== ifRange) {
+      await response.Body?.cancel?.();
+      response = await this.client.getObject(fileId);
+    }
+
     // AWS SDK 返回的 Body 是 ReadableStream
-    return new Response(response.Body, {
-      headers: {
-        "Content-Type": response.ContentType || "application/octet-stream",
-        "Content-Length": response.ContentLength?.toString() || "",
-      },
-    });
+    const headers = {
+      "Content-Type": response.ContentType || "application/octet-stream",
+      "Content-Length": response.ContentLength?.toString() || "",
+      "Accept-Ranges": "bytes",
+    };
+    if (response.ETag) {
+      headers["ETag"] = response.ETag;
+    }
+    if (response.ContentRange) {
+      headers["Content-Range"] = response.ContentRange;
+    }
+    return new Response(response.Body, { status: response.ContentRange ? 206 : 200, headers });
+  }
+
+  /**
+   * 列出"文件夹"（前缀）下的文件
+   */
+  async listFiles(parentId) {
+    const objects = await this.client.listObjects(parentId);
+    return {
+      items: objects.map(({ key, size, lastModified }) => ({
+        fileId: key,
+        name: key.slice(parentId.length),
+        type: "file",
+        size,
+        lastModified,
+      })),
+    };
+  }
+
+  /**
+   * 分页列出根目录下的"文件夹"（第一级前缀），每页只返回名称，不列出其中的对象
+   */
+  async listFolders({ cursor } = {}) {
+    const { prefixes, next } = await this.client.listPrefixes("", cursor || undefined);
+    return {
+      items: prefixes.map((name) => ({ fileId: name + "/", name, type: "folder" })),
+      cursor: next,
+    };
   }
 
   /**
-   * 删除文件
+   * 删除文件（多个文件使用 DeleteObjects 批量删除）
    */
   async deleteFile(fileIds) {
     const ids = Array.isArray(fileIds) ? fileIds : [fileIds];
-    for (const id of ids) {
-      await this.client.deleteObject(id);
+    if (ids.length === 1) {
+      await this.client.deleteObject(ids[0]);
+    } else if (ids.length > 1) {
+      await this.client.deleteObjects(ids);
     }
   }
 }
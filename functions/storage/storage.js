@@ -10,13 +10,28 @@ import config from "../config/config.js";
  * @property {string} folderId - 创建的文件夹 ID
  */
 
+/**
+ * @typedef {Object} UploadPart
+ * @property {number} partNumber - part 序号（从 1 开始）
+ * @property {string} url - 该 part 的上传 URL
+ * @property {number} offset - 在文件中的起始字节
+ * @property {number} size - part 大小
+ */
+
+/**
+ * @typedef {Object} CompletedPart
+ * @property {number} partNumber - part 序号
+ * @property {string} etag - 上传 part 时响应头中的 ETag
+ */
+
 /**
  * @typedef {Object} UploadSpec
- * @property {string} url - 上传 URL
+ * @property {string} [url] - 上传 URL（分段上传时为空）
  * @property {string} method - HTTP 方法 (PUT/POST)
  * @property {Object<string, string>} [headers] - 需要设置的请求头
  * @property {'raw'|'form-data'} [bodyType] - 请求体类型，默认 'raw'
  * @property {string} [fieldName] - form-data 时的字段名
+ * @property {UploadPart[]} [parts] - 分段上传：客户端按 part 分别上传，完成时提交各 part 的 ETag
  */
 
 /**
@@ -33,6 +48,15 @@ import config from "../config/config.js";
  * @property {string} fileId - 文件/文件夹 ID
  * @property {string} name - 名称
  * @property {string} type - 类型: 'file' | 'folder'
+ * @property {number} [size] - 文件大小（字节）
+ * @property {number} [lastModified] - 最后修改时间（毫秒时间戳）
+ */
+
+/**
+ * @typedef {Object} PendingUpload
+ * @property {string} fileId - 目标文件 ID
+ * @property {string} uploadId - 分段上传会话 ID
+ * @property {number} initiated - 开始时间（毫秒时间戳）
  */
 
 /**
@@ -40,6 +64,12 @@ import config from "../config/config.js";
  * @property {ListItem[]} items - 文件/文件夹列表
  */
 
+/**
+ * @typedef {Object} StreamOptions
+ * @property {string} [range] - HTTP Range 头（单个范围，如 "bytes=1024-"）
+ * @property {string} [ifRange] - If-Range 头（ETag），与当前对象不一致时返回完整内容
+ */
+
 /**
  * Storage Backend Interface
  * 所有存储后端必须实现此接口
@@ -50,11 +80,16 @@ import config from "../config/config.js";
  * @property {boolean} supportsFolderDelete - 是否支持删除文件夹时递归删除内容
  * @property {(name: string) => Promise<CreateFolderResult>} createFolder - 在根目录创建文件夹
  * @property {(parentId: string, name: string, size: number, hash?: string) => Promise<CreateFileResult>} createFileAndGetUploadUrl - 创建文件并获取上传 URL
- * @property {(fileId: string, uploadId: string, hash?: string) => Promise<void>} completeUpload - 完成上传
+ * @property {(fileId: string, uploadId: string, hash?: string, parts?: CompletedPart[]) => Promise<void>} completeUpload - 完成上传（分段上传需提供 parts）
+ * @property {(fileId: string, uploadId: string) => Promise<void>} [abortUpload] - 放弃未完成的上传
+ * @property {(options?: {cursor?: string}) => Promise<{items: PendingUpload[], cursor: string|null}>} [listPendingUploads] - 分页列出未完成的分段上传（用于 GC）
  * @property {(parentId: string, name: string, data: ArrayBuffer|ReadableStream, hash?: string) => Promise<{fileId: string}>} uploadFile - 代理上传文件（用于不支持直传的后端）
  * @property {(fileId: string) => Promise<string|null>} getDownloadUrl - 获取下载直链
- * @property {(fileId: string) => Promise<Response>} streamFile - 流式获取文件内容
+ * @property {(fileId: string, options?: StreamOptions) => Promise<Response>} streamFile - 流式获取文件内容（部分内容返回 206 和 Content-Range）
  * @property {(fileIds: string|string[]) => Promise<void>} deleteFile - 删除文件/文件夹
+ * @property {(parentId: string) => Promise<ListFilesResult>} listFiles - 列出文件夹中的文件
+ * @property {(options?: {cursor?: string}) => Promise<ListFilesResult & {cursor: string|null}>} listFolders
+ *   分页列出根目录下的文件夹（用于 GC 清理未完成的上传），只返回名称，不保证包含 size
  */
 
 // --- 插件注册系统 ---
@@ -62,9 +97,12 @@ import config from "../config/config.js";
 /** @type {Object<string, () => Promise<StorageBackend>>} */
 const backends = {};
 
-/** @type {StorageBackend|null} */
+/** @type {{backend: StorageBackend, version: number}|null} 缓存的实例及创建时的配置快照序号 */
 let cachedBackend = null;
 
+/** @type {number} 最近一次存储配置变化时的快照序号，更早快照创建的实例不再缓存 */
+let minVersion = 0;
+
 /**
  * 注册存储后端
  * @param {string} name - 后端名称（与 STORAGE_BACKEND 配置值对应）
@@ -81,8 +119,8 @@ export function registerBackend(name, factory) {
  * @returns {Promise<StorageBackend>}
  */
 export async function createStorageBackend() {
-  if (cachedBackend) {
-    return cachedBackend;
+  if (cachedBackend && cachedBackend.version >= minVersion) {
+    return cachedBackend.backend;
   }
 
   const availableBackends = Object.keys(backends);
@@ -98,8 +136,13 @@ export async function createStorageBackend() {
     throw new Error(`Unknown storage backend: ${backendType}. Available: ${available}`);
   }
 
-  cachedBackend = await factory();
-  return cachedBackend;
+  const version = config.getVersion();
+  const backend = await factory();
+  // 仍在旧快照上的请求（或创建期间配置已变化）只为自己创建实例，不写入缓存
+  if (version >= minVersion) {
+    cachedBackend = { backend, version };
+  }
+  return backend;
 }
 
 /**
@@ -108,3 +151,14 @@ export async function createStorageBackend() {
 export function clearBackendCache() {
   cachedBackend = null;
 }
+
+// 存储相关配置变化（如轮换 S3 凭证）时重新创建后端
+config.onChange((changedKeys) => {
+  for (const key of changedKeys) {
+    if (key === "STORAGE_BACKEND" || /^(S3|R2|FS)_/.test(key)) {
+      minVersion = config.getLatestVersion();
+      clearBackendCache();
+      return;
+    }
+  }
+});
@@ -0,0 +1,204 @@
+/**
+ * 上传鉴权与配额（私有部署）
+ *
+ * 开启 UPLOAD_AUTH_REQUIRED 后，POST /api/upload/start 需要 Authorization: Bearer <credential>：
+ * - 邀请码：UPLOAD_INVITE_CODES 中的任一项（逗号分隔）
+ * - API Key：拥有 upload 权限
+ * - JWT：HS* 使用 UPLOAD_JWT_SECRET，RS* / ES* 使用 UPLOAD_JWT_JWKS 验证，必须包含 exp，可要求 iss / aud
+ *
+ * 每个凭证在 UPLOAD_QUOTA_WINDOW_HOURS 窗口内的上传字节数和次数受配额限制，API Key 可单独设置配额
+ * 配额在开始上传时扣除，放弃的上传同样计入；分片请求体不超过分片大小（含加密开销），实际上传量不会超过扣除的配额
+ * 同一实例内对同一凭证的扣除串行执行；KV 不支持原子操作，多个实例并发时仍可能存在少量偏差
+ */
+
+import { getMetadataKV, sha256Hex, timingSafeEqual } from "./utils.js";
+import config from "./config/config.js";
+import { authenticate } from "./auth.js";
+import { JWTError, looksLikeJWT, verifyJWT } from "./jwt.js";
+
+// 与分享元数据共用 KV 命名空间，不以 metadata: 开头，不会被 GC 扫描
+const QUOTA_KV_PREFIX = "quota:";
+
+// Cloudflare KV 的 expirationTtl 最小为 60 秒
+const MIN_QUOTA_TTL_SECONDS = 60;
+
+/** @type {Map<string, Promise<any>>} 各凭证进行中的配额扣除，同一实例内串行执行读-改-写 */
+const quotaLocks = new Map();
+
+/**
+ * @typedef {Object} UploadCredential
+ * @property {'invite'|'apikey'|'jwt'} type
+ * @property {string} id - 记录用量的标识（不含凭证明文）
+ * @property {{bytes: number, count: number}} quota - 0 表示不限制
+ */
+
+/**
+ * @returns {boolean}
+ */
+export function isUploadAuthRequired() {
+  return config.getBool("UPLOAD_AUTH_REQUIRED", false);
+}
+
+function getInviteCodes() {
+  return config
+    .getString("UPLOAD_INVITE_CODES", "")
+    .split(",")
+    .map((code) => code.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 解析 UPLOAD_JWT_JWKS（JSON 字符串），格式错误时视为未配置
+ * @returns {{keys: Object[]}|null}
+ */
+function getJWKS() {
+  const value = config.getString("UPLOAD_JWT_JWKS");
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error("[UploadAuth] UPLOAD_JWT_JWKS is not valid JSON");
+    return null;
+  }
+}
+
+/**
+ * 当前可用的上传凭证类型
+ * @returns {Array<'invite'|'apikey'|'jwt'>}
+ */
+export function getUploadAuthMethods() {
+  const methods = [];
+  if (getInviteCodes().length > 0) methods.push("invite");
+  methods.push("apikey");
+  if (config.getString("UPLOAD_JWT_SECRET") || config.getString("UPLOAD_JWT_JWKS")) {
+    methods.push("jwt");
+  }
+  return methods;
+}
+
+function getDefaultQuota() {
+  return {
+    bytes: config.getInt("UPLOAD_QUOTA_BYTES", 0),
+    count: config.getInt("UPLOAD_QUOTA_COUNT", 0),
+  };
+}
+
+/**
+ * 匹配邀请码（常量时间比较，每个邀请码都比较一次）
+ * @param {string} token
+ * @returns {Promise<UploadCredential|null>}
+ */
+async function matchInviteCode(token) {
+  let matched = false;
+  for (const code of getInviteCodes()) {
+    matched = timingSafeEqual(token, code) || matched;
+  }
+  if (!matched) return null;
+
+  const hash = await sha256Hex(token);
+  return { type: "invite", id: `invite:${hash.slice(0, 16)}`, quota: getDefaultQuota() };
+}
+
+/**
+ * 验证 JWT，以 sub（无 sub 时为 token 哈希）记录用量
+ * @param {string} token
+ * @returns {Promise<UploadCredential|null>}
+ */
+async function verifyUploadJWT(token) {
+  let payload;
+  try {
+    payload = await verifyJWT(token, {
+      secret: config.getString("UPLOAD_JWT_SECRET"),
+      jwks: getJWKS(),
+      issuer: config.getString("UPLOAD_JWT_ISSUER"),
+      audience: config.getString("UPLOAD_JWT_AUDIENCE"),
+      requireExp: true,
+    });
+  } catch (err) {
+    if (err instanceof JWTError) return null;
+    throw err;
+  }
+
+  const subject = payload.sub ? String(payload.sub) : (await sha256Hex(token)).slice(0, 16);
+  return { type: "jwt", id: `jwt:${subject}`, quota: getDefaultQuota() };
+}
+
+/**
+ * 校验上传凭证
+ * @param {Object} request - Hono 请求对象
+ * @returns {Promise<UploadCredential|null>} 凭证缺失或无效时返回 null
+ */
+export async function authenticateUpload(request) {
+  const authHeader = request.header("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  const token = authHeader.slice(7); // 移除 "Bearer " 前缀
+
+  if (looksLikeJWT(token)) {
+    return verifyUploadJWT(token);
+  }
+
+  const invite = await matchInviteCode(token);
+  if (invite) return invite;
+
+  const principal = await authenticate(request);
+  if (!principal || !principal.scopes.includes("upload")) return null;
+  return {
+    type: "apikey",
+    id: principal.type === "apikey" ? `apikey:${principal.id}` : `secret:${principal.name}`,
+    quota: { ...getDefaultQuota(), ...principal.quota },
+  };
+}
+
+/**
+ * 扣除一次上传的配额
+ * @param {UploadCredential} credential
+ * @param {number} bytes
+ * @returns {Promise<string|null>} 超出配额时返回错误信息
+ */
+export async function reserveUploadQuota(credential, bytes) {
+  const { quota } = credential;
+  if (!quota.bytes && !quota.count) return null;
+
+  const key = QUOTA_KV_PREFIX + credential.id;
+  const previous = quotaLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => applyUploadQuota(key, quota, bytes));
+  quotaLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (quotaLocks.get(key) === current) quotaLocks.delete(key);
+  }
+}
+
+/**
+ * 读取用量、检查并写回（调用方保证同一 key 串行执行）
+ * @param {string} key
+ * @param {{bytes: number, count: number}} quota
+ * @param {number} bytes
+ * @returns {Promise<string|null>} 超出配额时返回错误信息
+ */
+async function applyUploadQuota(key, quota, bytes) {
+  const windowMs = config.getInt("UPLOAD_QUOTA_WINDOW_HOURS", 24) * 3600 * 1000;
+  const now = Date.now();
+  const kv = getMetadataKV();
+
+  let usage = await kv.get(key, { type: "json", cache: false });
+  if (!usage || now - usage.windowStart >= windowMs) {
+    usage = { windowStart: now, bytes: 0, count: 0 };
+  }
+
+  if (quota.count && usage.count + 1 > quota.count) {
+    return `Upload quota exceeded: at most ${quota.count} uploads per window`;
+  }
+  if (quota.bytes && usage.bytes + bytes > quota.bytes) {
+    return `Upload quota exceeded: ${quota.bytes - usage.bytes} bytes remaining in this window`;
+  }
+
+  usage.bytes += bytes;
+  usage.count += 1;
+  const ttl = Math.ceil((usage.windowStart + windowMs - now) / 1000);
+  await kv.put(key, JSON.stringify(usage), {
+    expirationTtl: Math.max(ttl, MIN_QUOTA_TTL_SECONDS),
+  });
+  return null;
+}
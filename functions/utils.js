@@ -15,6 +15,51 @@ export function getChunkSize() {
   return config.getInt("CHUNK_SIZE", 64 * 1024 * 1024); // 64MB
 }
 
+// 前端加密块大小（与 src/lib/crypto-config.js 一致），每块附加 16 字节 GCM 认证标签
+const ENCRYPTION_BLOCK_SIZE = 1024 * 1024;
+const GCM_TAG_SIZE = 16;
+
+/**
+ * 单个分片加密后的最大字节数
+ * @returns {number}
+ */
+export function getMaxChunkBodySize() {
+  const chunkSize = getChunkSize();
+  return chunkSize + Math.ceil(chunkSize / ENCRYPTION_BLOCK_SIZE) * GCM_TAG_SIZE;
+}
+
+/**
+ * 客户端同时上传的分片数（1-16）
+ * 每个进行中的分片在浏览器内存中保留一份加密数据
+ * @returns {number}
+ */
+export function getUploadConcurrency() {
+  const concurrency = config.getInt("UPLOAD_CONCURRENCY", 3);
+  return Math.min(16, Math.max(1, concurrency));
+}
+
+// 分享有效期下限：1 小时
+export const MIN_EXPIRY_SECONDS = 3600;
+
+export function getMaxExpirySeconds() {
+  return config.getInt("MAX_EXPIRY_HOURS", 7 * 24) * 3600; // 7 天
+}
+
+export function getDefaultExpirySeconds() {
+  const defaultExpiry = config.getInt("DEFAULT_EXPIRY_HOURS", 24) * 3600; // 24 小时
+  return Math.min(Math.max(defaultExpiry, MIN_EXPIRY_SECONDS), getMaxExpirySeconds());
+}
+
+/**
+ * 判断分享是否已超过上传者选择的有效期
+ * 旧数据没有 expiresAt，交由 GC 按全局配置处理
+ * @param {object} metadata
+ * @returns {boolean}
+ */
+export function isShareExpired(metadata) {
+  return typeof metadata.expiresAt === "number" && metadata.expiresAt <= Date.now();
+}
+
 // --- KV Namespaces ---
 const METADATA_NAMESPACE = "megashare-metadata";
 
@@ -58,6 +103,44 @@ export function getMetadataKey(fileId) {
   return `metadata:${fileId}`;
 }
 
+/**
+ * 获取下载计数 key（与 metadata key 共享时间戳前缀，便于一并清理）
+ * @param {string} fileId
+ * @returns {string}
+ */
+export function getDownloadCountKey(fileId) {
+  return getMetadataKey(fileId).replace(/^metadata:/, "downloads:");
+}
+
+/**
+ * 获取屏蔽记录 key
+ * 屏蔽记录与元数据分开保存，重放完成上传请求覆盖元数据时不会解除屏蔽
+ * @param {string} fileId
+ * @returns {string}
+ */
+export function getBlockedKey(fileId) {
+  return getMetadataKey(fileId).replace(/^metadata:/, "blocked:");
+}
+
+/**
+ * 获取删除墓碑 key：撤销或删除后、有效期内保留，阻止重放完成上传请求恢复分享
+ * @param {string} fileId
+ * @returns {string}
+ */
+export function getTombstoneKey(fileId) {
+  return getMetadataKey(fileId).replace(/^metadata:/, "deleted:");
+}
+
+/**
+ * 读取分享的屏蔽记录
+ * @param {string} fileId
+ * @param {{cache?: boolean}} [options]
+ * @returns {Promise<{at: number, reason?: string}|null>} 未屏蔽时返回 null
+ */
+export async function getShareBlock(fileId, { cache } = {}) {
+  return getMetadataKV().get(getBlockedKey(fileId), { type: "json", cache });
+}
+
 // --- Response Helpers ---
 export function errorResponse(c, message, status = 500) {
   return c.json({ error: message }, status);
@@ -81,15 +164,13 @@ async function getSecretKey() {
 }
 
 /**
- * Sign upload payload (fileId + folderId + totalChunks)
+ * 对 payload 签名
  * Returns: base64url(payload) + "." + base64url(signature)
  */
-export async function signUploadPayload(fileId, folderId, totalChunks) {
+async function signPayload(payload) {
   const key = await getSecretKey();
   const enc = new TextEncoder();
 
-  // Create payload: fileId:folderId:totalChunks
-  const payload = `${fileId}:${folderId}:${totalChunks}`;
   const payloadB64 = btoa(payload).replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "");
 
   // Sign the payload
@@ -103,11 +184,12 @@ export async function signUploadPayload(fileId, folderId, totalChunks) {
 }
 
 /**
- * Verify upload token and extract payload
- * Returns: { valid: boolean, fileId?: string, totalChunks?: number }
+ * 校验签名 token 并返回原始 payload
+ * @param {string} token
+ * @returns {Promise<string|null>} 签名无效时返回 null
  */
-export async function verifyUploadToken(fileId, token) {
-  if (!token) return { valid: false };
+async function verifyPayload(token) {
+  if (!token) return null;
 
   try {
     const key = await getSecretKey();
@@ -115,14 +197,10 @@ export async function verifyUploadToken(fileId, token) {
 
     // Split token into payload and signature
     const [payloadB64, sigB64] = token.split(".");
-    if (!payloadB64 || !sigB64) return { valid: false };
+    if (!payloadB64 || !sigB64) return null;
 
     // Decode payload
     const payload = atob(payloadB64.replace(/-/g, "+").replace(/_/g, "/"));
-    const [tokenFileId, tokenFolderId, totalChunksStr] = payload.split(":");
-
-    // Verify fileId matches
-    if (tokenFileId !== fileId) return { valid: false };
 
     // Verify signature
     const signature = Uint8Array.from(atob(sigB64.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
@@ -130,18 +208,130 @@ export async function verifyUploadToken(fileId, token) {
     );
 
     const isValid = await crypto.subtle.verify("HMAC", key, signature, enc.encode(payload));
+    return isValid ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-    if (!isValid) return { valid: false };
+/**
+ * Sign upload payload (fileId + folderId + totalChunks + share policy)
+ * Returns: base64url(payload) + "." + base64url(signature)
+ */
+export async function signUploadPayload(
+  fileId,
+  folderId,
+  totalChunks,
+  { expiresAt, maxDownloads, burnAfterRead } = {},
+) {
+  // Create payload: fileId:folderId:totalChunks:expiresAt:maxDownloads:burnAfterRead
+  const payload = [
+    fileId,
+    folderId,
+    totalChunks,
+    expiresAt || "",
+    maxDownloads || "",
+    burnAfterRead ? 1 : "",
+  ].join(":");
+  return signPayload(payload);
+}
 
-    return {
-      valid: true,
-      fileId: tokenFileId,
-      folderId: tokenFolderId,
-      totalChunks: parseInt(totalChunksStr, 10),
-    };
-  } catch (e) {
-    return { valid: false };
+/**
+ * Verify upload token and extract payload
+ * Returns: { valid: boolean, fileId?: string, totalChunks?: number, expiresAt?: number,
+ *            maxDownloads?: number, burnAfterRead?: boolean }
+ */
+export async function verifyUploadToken(fileId, token) {
+  const payload = await verifyPayload(token);
+  if (!payload) return { valid: false };
+
+  const [tokenFileId, tokenFolderId, totalChunksStr, expiresAtStr, maxDownloadsStr, burnStr] =
+    payload.split(":");
+
+  // Verify fileId matches
+  if (tokenFileId !== fileId) return { valid: false };
+
+  return {
+    valid: true,
+    fileId: tokenFileId,
+    folderId: tokenFolderId,
+    totalChunks: parseInt(totalChunksStr, 10),
+    expiresAt: expiresAtStr ? parseInt(expiresAtStr, 10) : undefined,
+    maxDownloads: maxDownloadsStr ? parseInt(maxDownloadsStr, 10) : undefined,
+    burnAfterRead: burnStr === "1" || undefined,
+  };
+}
+
+/**
+ * 生成随机 token（base64url）
+ * @param {number} [byteLength]
+ * @returns {string}
+ */
+export function generateToken(byteLength = 32) {
+  const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=/g, "");
+}
+
+/**
+ * 计算字符串的 SHA-256（hex）
+ * @param {string} str
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(str) {
+  const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(hash))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * 常量时间字符串比较，避免通过响应时间推测密钥内容
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const enc = new TextEncoder();
+  const bufA = enc.encode(a);
+  const bufB = enc.encode(b);
+  // 长度不同时仍完整比较一遍，不提前返回
+  const length = Math.max(bufA.length, bufB.length);
+  let diff = bufA.length ^ bufB.length;
+  for (let i = 0; i < length; i++) {
+    diff |= (bufA[i] || 0) ^ (bufB[i] || 0);
   }
+  return diff === 0;
+}
+
+// 下载会话有效期：24 小时
+const DOWNLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 签发下载会话 token（用于限制下载次数的分享）
+ * @param {string} fileId
+ * @returns {Promise<string>}
+ */
+export async function signDownloadSession(fileId) {
+  const expiresAt = Date.now() + DOWNLOAD_SESSION_TTL_MS;
+  return signPayload(`session:${fileId}:${expiresAt}`);
+}
+
+/**
+ * 验证下载会话 token
+ * @param {string} fileId
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDownloadSession(fileId, token) {
+  const payload = await verifyPayload(token);
+  if (!payload) return false;
+
+  const [type, tokenFileId, expiresAtStr] = payload.split(":");
+  return type === "session" && tokenFileId === fileId && parseInt(expiresAtStr, 10) > Date.now();
 }
 
 // --- Retry Helper ---
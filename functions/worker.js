@@ -0,0 +1,48 @@
+/**
+ * MegaShare Cloudflare Workers 入口
+ * 复用 ESA 的 Hono 路由，并通过 Cron Trigger 定时执行 GC
+ *
+ * 部署配置见 wrangler.toml
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// 导入 Cloudflare 适配器以触发插件注册
+import { setCloudflareEnv } from "./kv/cfkv.js";
+import { setWorkerEnv } from "./config/providers/cfenv.js";
+import { setR2Env } from "./storage/r2.js";
+import config from "./config/config.js";
+import { runScheduledGC } from "./handlers/gc.js";
+import app from "./index.js";
+
+/**
+ * 将 Worker env 传给 KV 适配器、配置 Provider 和 R2 存储后端
+ * env 在每次调用时传入，需在处理请求前设置
+ * @param {Object} env
+ */
+function bindEnv(env) {
+  setCloudflareEnv(env);
+  setWorkerEnv(env);
+  setR2Env(env);
+}
+
+// 每个请求使用独立的配置快照（需要 nodejs_compat）
+config.setContextStorage(new AsyncLocalStorage());
+
+// Worker 没有启动阶段，env 随请求传入；配置错误时由 index.js 的中间件对每个请求返回 503
+export default {
+  fetch(request, env, ctx) {
+    bindEnv(env);
+    return app.fetch(request, env, ctx);
+  },
+
+  async scheduled(controller, env, ctx) {
+    bindEnv(env);
+    await config.load();
+    if (config.hasErrors()) {
+      console.error("[GC] Skipped: invalid configuration");
+      return;
+    }
+    ctx.waitUntil(config.run(runScheduledGC));
+  },
+};
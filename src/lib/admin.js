@@ -0,0 +1,96 @@
+/**
+ * 管理后台模块
+ * 管理 Token 保存在 sessionStorage 中，关闭标签页后失效
+ */
+
+const TOKEN_STORAGE_KEY = "megashare-admin-token";
+
+export function getAdminToken() {
+  return sessionStorage.getItem(TOKEN_STORAGE_KEY) || "";
+}
+
+export function setAdminToken(token) {
+  sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+}
+
+export function clearAdminToken() {
+  sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * 调用管理接口
+ * @param {string} path - /api/admin 之后的路径
+ * @param {RequestInit} [options]
+ * @returns {Promise<any>}
+ * @throws {Error} 请求失败时抛出，error.status 为 HTTP 状态码
+ */
+async function adminFetch(path, options = {}) {
+  const res = await fetch(`/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${getAdminToken()}`,
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+    },
+  });
+  if (!res.ok) {
+    const errData = await res.json().catch(() => ({}));
+    const err = new Error(errData.error || res.statusText);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+export function fetchAdminStats() {
+  return adminFetch("/stats");
+}
+
+/**
+ * 分页获取分享列表
+ * @param {string|null} [cursor]
+ * @returns {Promise<{shares: Array, cursor: string|null, done: boolean}>}
+ */
+export function listShares(cursor) {
+  return adminFetch(cursor ? `/shares?cursor=${encodeURIComponent(cursor)}` : "/shares");
+}
+
+export function getShare(fileId) {
+  return adminFetch(`/shares/${encodeURIComponent(fileId)}`);
+}
+
+export function deleteShare(fileId) {
+  return adminFetch(`/shares/${encodeURIComponent(fileId)}`, { method: "DELETE" });
+}
+
+export function blockShare(fileId, reason) {
+  return adminFetch(`/shares/${encodeURIComponent(fileId)}/block`, {
+    method: "PUT",
+    body: JSON.stringify({ reason }),
+  });
+}
+
+export function unblockShare(fileId) {
+  return adminFetch(`/shares/${encodeURIComponent(fileId)}/block`, { method: "DELETE" });
+}
+
+/**
+ * 执行一次 GC
+ * @param {{dryRun: boolean, cursor?: string}} options
+ */
+export function runAdminGC({ dryRun, cursor }) {
+  return adminFetch("/gc", { method: "POST", body: JSON.stringify({ dryRun, cursor }) });
+}
+
+/**
+ * 从分享链接或 ID 中提取 fileId
+ * @param {string} input
+ * @returns {string}
+ */
+export function parseShareId(input) {
+  const value = input.trim();
+  try {
+    return new URL(value).searchParams.get("f") || value;
+  } catch {
+    return value;
+  }
+}
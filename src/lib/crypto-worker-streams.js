@@ -6,7 +6,7 @@
 import { sha256 } from "@noble/hashes/sha2.js";
 import { bytesToHex } from "@noble/hashes/utils.js";
 import { getCryptoWorker } from "./worker-bridge.js";
-import { BufferAccumulator } from "./utils.js";
+import { BufferAccumulator, fetchFromOffset } from "./utils.js";
 
 export class WorkerStreamEncryptor {
   constructor(masterKey, baseIv, chunkIndex, chunkSize, blockSize) {
@@ -125,6 +125,9 @@ export class WorkerStreamDecryptor {
     this.encryptedBlockSizeWithTag = blockSize + 16;
     this.blocksPerChunk = Math.ceil(chunkSize / blockSize);
     this.globalBlockOffset = chunkIndex * this.blocksPerChunk;
+    // 已通过 GCM 校验并交给 onDecrypted 的块数，重试时从下一个块继续
+    this.verifiedBlocks = 0;
+    this.etag = null;
     this.worker = getCryptoWorker();
     this.masterKeyInitialized = false;
     // 生成唯一 keyId
@@ -142,24 +145,26 @@ export class WorkerStreamDecryptor {
   async _releaseKey() {
     if (this.masterKeyInitialized) {
       await this.worker.releaseKey(this.keyId);
+      // 重试时需重新设置密钥
+      this.masterKeyInitialized = false;
     }
   }
 
+  /**
+   * 下载并解密；同一实例再次调用时通过 Range 请求从最后一个已校验块之后继续
+   */
   async processStream(url, onDecrypted, onProgress) {
-    const res = await fetch(url);
-    if (!res.ok) {
-      throw new Error(`下载失败: ${res.status}`);
-    }
-
-    const reader = res.body.getReader();
+    const offset = this.verifiedBlocks * this.encryptedBlockSizeWithTag;
+    const { reader, etag } = await fetchFromOffset(url, offset, this.etag);
+    this.etag = etag || this.etag;
 
     try {
       // 初始化密钥（只需一次）
       await this._initMasterKey();
 
       const buffer = new BufferAccumulator();
-      let blockIndex = 0;
-      let totalReceived = 0;
+      let blockIndex = this.verifiedBlocks;
+      let totalReceived = offset;
 
       while (true) {
         const { done, value } = await reader.read();
@@ -188,6 +193,7 @@ export class WorkerStreamDecryptor {
 
           await onDecrypted(decrypted);
           blockIndex++;
+          this.verifiedBlocks = blockIndex;
 
           if (isLastBlock) break;
         }
@@ -4,7 +4,7 @@
 
 import { sha256 } from "@noble/hashes/sha2.js";
 import { bytesToHex } from "@noble/hashes/utils.js";
-import { BufferAccumulator } from "./utils.js";
+import { BufferAccumulator, fetchFromOffset } from "./utils.js";
 
 /**
  * 生成主密钥
@@ -46,6 +46,72 @@ export function decodeBase64(base64Key) {
   return rawKey;
 }
 
+// 口令派生密钥参数（PBKDF2-SHA256，迭代次数参考 OWASP 建议）
+const KDF_ITERATIONS = 600000;
+const KDF_SALT_LENGTH = 16;
+
+/**
+ * 由访问口令派生密钥包装密钥（KEK）
+ */
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const baseKey = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return await window.crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"],
+  );
+}
+
+/**
+ * 使用访问口令包装主密钥
+ * 返回可直接存入元数据的包装结果（含 KDF 参数）
+ */
+export async function wrapMasterKey(masterKey, passphrase) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(KDF_SALT_LENGTH));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const kek = await deriveWrappingKey(passphrase, salt, KDF_ITERATIONS);
+  const wrapped = await window.crypto.subtle.wrapKey("raw", masterKey, kek, {
+    name: "AES-GCM",
+    iv,
+  });
+  return {
+    kdf: "PBKDF2-SHA256",
+    iterations: KDF_ITERATIONS,
+    salt: encodeBase64(salt),
+    iv: encodeBase64(iv),
+    wrappedKey: encodeBase64(wrapped),
+  };
+}
+
+/**
+ * 使用访问口令解包主密钥
+ * 返回与分享链接中相同格式的主密钥字符串，口令错误时抛出异常
+ */
+export async function unwrapMasterKey(keyWrap, passphrase) {
+  if (keyWrap.kdf !== "PBKDF2-SHA256") {
+    throw new Error(`Unsupported KDF: ${keyWrap.kdf}`);
+  }
+  const kek = await deriveWrappingKey(passphrase, decodeBase64(keyWrap.salt), keyWrap.iterations);
+  const masterKey = await window.crypto.subtle.unwrapKey(
+    "raw",
+    decodeBase64(keyWrap.wrappedKey),
+    kek,
+    { name: "AES-GCM", iv: decodeBase64(keyWrap.iv) },
+    "AES-GCM",
+    true,
+    ["encrypt", "decrypt"],
+  );
+  return exportMasterKey(masterKey);
+}
+
 /**
  * 计算数据哈希
  */
@@ -66,29 +132,48 @@ export function getChunkIV(baseIv, index) {
   return iv;
 }
 
+// 元数据和文件清单使用保留的 IV 序号，与数据块序号不冲突
+export const META_IV_INDEX = 0xffffffff;
+export const MANIFEST_IV_INDEX = 0xfffffffe;
+
 /**
  * 加密敏感元数据
  */
-export async function encryptSensitiveMeta(masterKey, baseIv, sensitiveMeta) {
+export async function encryptSensitiveMeta(
+  masterKey,
+  baseIv,
+  sensitiveMeta,
+  ivIndex = META_IV_INDEX,
+) {
   const jsonStr = JSON.stringify(sensitiveMeta);
   const encoded = new TextEncoder().encode(jsonStr);
-  const metaIv = getChunkIV(baseIv, 0xffffffff);
+  const metaIv = getChunkIV(baseIv, ivIndex);
   const encrypted = await window.crypto.subtle.encrypt(
     { name: "AES-GCM", iv: metaIv },
     masterKey,
     encoded,
   );
-  return btoa(String.fromCharCode(...new Uint8Array(encrypted)));
+  // 文件清单可能较大，逐字节拼接避免展开参数超出调用栈限制
+  let binary = "";
+  for (const byte of new Uint8Array(encrypted)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
 }
 
 /**
  * 解密敏感元数据
  */
-export async function decryptSensitiveMeta(masterKeyStr, baseIv, encryptedMeta) {
+export async function decryptSensitiveMeta(
+  masterKeyStr,
+  baseIv,
+  encryptedMeta,
+  ivIndex = META_IV_INDEX,
+) {
   try {
     const masterKey = await importMasterKey(decodeBase64(masterKeyStr));
     const ivArray = new Uint8Array(baseIv);
-    const metaIv = getChunkIV(ivArray, 0xffffffff);
+    const metaIv = getChunkIV(ivArray, ivIndex);
     const encrypted = Uint8Array.from(atob(encryptedMeta), (c) => c.charCodeAt(0));
     const decrypted = await window.crypto.subtle.decrypt(
       { name: "AES-GCM", iv: metaIv },
@@ -227,18 +312,22 @@ export class StreamDecryptor {
     this.encryptedBlockSizeWithTag = blockSize + 16;
     this.blocksPerChunk = Math.ceil(chunkSize / blockSize);
     this.globalBlockOffset = chunkIndex * this.blocksPerChunk;
+    // 已通过 GCM 校验并交给 onDecrypted 的块数，重试时从下一个块继续
+    this.verifiedBlocks = 0;
+    this.etag = null;
   }
 
+  /**
+   * 下载并解密；同一实例再次调用时通过 Range 请求从最后一个已校验块之后继续
+   */
   async processStream(url, onDecrypted, onProgress) {
-    const res = await fetch(url);
-    if (!res.ok) {
-      throw new Error(`下载失败: ${res.status}`);
-    }
+    const offset = this.verifiedBlocks * this.encryptedBlockSizeWithTag;
+    const { reader, etag } = await fetchFromOffset(url, offset, this.etag);
+    this.etag = etag || this.etag;
 
-    const reader = res.body.getReader();
     const buffer = new BufferAccumulator();
-    let blockIndex = 0;
-    let totalReceived = 0;
+    let blockIndex = this.verifiedBlocks;
+    let totalReceived = offset;
 
     while (true) {
       const { done, value } = await reader.read();
@@ -261,6 +350,7 @@ export class StreamDecryptor {
 
         await onDecrypted(decrypted);
         blockIndex++;
+        this.verifiedBlocks = blockIndex;
 
         if (isLastBlock) break;
       }
@@ -3,11 +3,39 @@
  */
 
 import { importMasterKey, decodeBase64 } from "./crypto.js";
-import { withRetry } from "./utils.js";
+import { withRetry, runWithConcurrency } from "./utils.js";
 import { getDecryptorClass } from "./crypto-config.js";
 
+// 同时下载的分块数（预取窗口）
+// 解密数据按块直接写入文件，每个进行中的分块只占用少量缓冲，内存不随文件大小增长
+const PREFETCH_WINDOW = 4;
+
+// 下载会话在服务端 24 小时后失效，续传时只复用较新的会话
+const SESSION_REUSE_MS = 20 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DownloadState
+ * @property {number[]} completedChunks - 已完整写入的分块（本次下载内的序号）
+ * @property {Object<number, number>} chunkBlocks - 部分写入的分块已写入的加密块数
+ * @property {string|null} sessionToken
+ * @property {number} [sessionStartedAt]
+ */
+
+/**
+ * 保存的下载进度中的会话是否仍可复用
+ * @param {DownloadState} state
+ * @returns {boolean}
+ */
+export function isSessionReusable(state) {
+  return !!state.sessionToken && Date.now() - (state.sessionStartedAt || 0) < SESSION_REUSE_MS;
+}
+
 /**
  * 下载器类
+ *
+ * 多个分块并发下载、乱序解密，通过 writable.seek 写入各自的偏移位置
+ * 文件包中的单个条目通过 metaData.chunkOffset 指定其在分享内的起始分块
+ * 每完成一个分块触发一次检查点，调用方可提交已写入的数据并保存进度用于跨会话续传
  */
 export class FileDownloader {
   constructor(fileId, metaData) {
@@ -15,70 +43,182 @@ export class FileDownloader {
     this.metaData = metaData;
     this.downloadedBytes = 0;
     this.totalBytes = metaData.size;
+    this.sessionToken = null;
+    this.sessionStartedAt = 0;
+    this.completedChunks = new Set();
+    this.chunkBlocks = new Map();
+    this._writable = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 开始下载会话（限制下载次数的分享每次下载计数一次）
+   */
+  async _startSession() {
+    const res = await fetch(`/api/file/${this.fileId}/session`, { method: "POST" });
+    if (!res.ok) {
+      const errData = await res.json().catch(() => ({}));
+      throw new Error(errData.error || "Failed to start download session");
+    }
+    const { sessionToken } = await res.json();
+    this.sessionToken = sessionToken;
+    this.sessionStartedAt = Date.now();
   }
 
   /**
    * 获取分块 URL
    */
   _getChunkURL(chunkIndex) {
-    return `/api/file/${this.fileId}/chunk/${chunkIndex}`;
+    const url = `/api/file/${this.fileId}/chunk/${chunkIndex}`;
+    return this.sessionToken ? `${url}?session=${encodeURIComponent(this.sessionToken)}` : url;
+  }
+
+  /**
+   * 串行执行写入相关操作
+   * 多个分块共用同一个 writable，seek 和 write 必须成对执行，检查点期间不能写入
+   */
+  _enqueue(task) {
+    const result = this._writeQueue.then(task);
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 当前下载进度（与已写入 writable 的数据一致）
+   * @returns {DownloadState}
+   */
+  getState() {
+    return {
+      completedChunks: [...this.completedChunks],
+      chunkBlocks: Object.fromEntries(this.chunkBlocks),
+      sessionToken: this.sessionToken,
+      sessionStartedAt: this.sessionStartedAt,
+    };
   }
 
   /**
-   * 流式下载并解密
+   * 分块明文大小
+   * @param {number} i - 本次下载内的分块序号
    */
-  async _downloadChunk(chunkIndex, writable, masterKey, baseIv, chunkBaseBytes, onProgress) {
-    let cumulativeBytes = chunkBaseBytes;
+  _getChunkPlainSize(i, chunkSize) {
+    return Math.min(chunkSize, this.totalBytes - i * chunkSize);
+  }
 
+  /**
+   * 流式下载并解密单个分块，写入其在文件中的偏移位置
+   * @param {number} i - 本次下载内的分块序号
+   * @param {number} chunkIndex - 分享内的全局分块序号
+   * @param {number} chunkBaseBytes - 分块在输出文件中的起始偏移
+   */
+  async _downloadChunk(i, chunkIndex, masterKey, baseIv, chunkBaseBytes, onProgress) {
     // 动态获取解密器类（支持 Worker 或主线程）
     const DecryptorClass = await getDecryptorClass();
     const chunkSize = this.metaData.chunkSize || this.metaData.blockSize;
-    await withRetry(async () => {
-      cumulativeBytes = chunkBaseBytes;
-      await writable.seek(chunkBaseBytes);
-      const decryptor = new DecryptorClass(
-        masterKey,
-        baseIv,
-        chunkIndex,
-        chunkSize,
-        this.metaData.encryptionBlockSize,
-      );
+    const decryptor = new DecryptorClass(
+      masterKey,
+      baseIv,
+      chunkIndex,
+      chunkSize,
+      this.metaData.encryptionBlockSize,
+    );
 
-      await decryptor.processStream(
-        this._getChunkURL(chunkIndex),
-        async (decrypted) => {
-          await writable.write(decrypted);
-          cumulativeBytes += decrypted.byteLength;
-        },
-        (bytes, total) => onProgress(bytes, chunkBaseBytes + total),
-      );
-    });
+    // 续传：跳过上次已写入的块
+    const writtenBlocks = this.chunkBlocks.get(i) || 0;
+    decryptor.verifiedBlocks = writtenBlocks;
+
+    // 重试复用同一个解密器：已校验并写入的块保留，只通过 Range 重新获取之后的数据
+    let chunkWritten = writtenBlocks * this.metaData.encryptionBlockSize;
+    await withRetry(() =>
+      decryptor.processStream(this._getChunkURL(chunkIndex), async (decrypted) => {
+        await this._enqueue(async () => {
+          await this._writable.seek(chunkBaseBytes + chunkWritten);
+          await this._writable.write(decrypted);
+          // 在写入队列内更新进度，保证检查点看到的状态与已写入的数据一致
+          chunkWritten += decrypted.byteLength;
+          this.chunkBlocks.set(i, (this.chunkBlocks.get(i) || 0) + 1);
+        });
+        this.downloadedBytes += decrypted.byteLength;
+        onProgress(decrypted.byteLength, this.downloadedBytes);
+      }),
+    );
 
-    return cumulativeBytes;
+    await this._enqueue(() => {
+      this.chunkBlocks.delete(i);
+      this.completedChunks.add(i);
+    });
   }
 
   /**
    * 执行下载
+   * @param {string} masterKeyStr
+   * @param {FileSystemWritableFileStream} writable
+   * @param {Function} onProgress - (bytes, downloadedBytes)
+   * @param {Object} [options]
+   * @param {boolean} [options.seekable] - writable 是否支持随机写入；
+   *   不支持时（如降级为浏览器下载的 polyfill）按顺序逐块下载
+   * @param {DownloadState} [options.resumeState] - 上次保存的进度，已写入的分块和块会被跳过
+   * @param {(state: DownloadState) => Promise<FileSystemWritableFileStream|void>} [options.onCheckpoint]
+   *   每完成一个分块调用一次，期间暂停写入；返回新的 writable 时后续数据写入新的 writable，
+   *   不返回时继续使用原 writable（调用方可据此跳过部分检查点）
    */
-  async download(masterKeyStr, writable, onProgress) {
+  async download(
+    masterKeyStr,
+    writable,
+    onProgress,
+    { seekable = true, resumeState = null, onCheckpoint = null } = {},
+  ) {
     const masterKey = await importMasterKey(decodeBase64(masterKeyStr));
     const baseIv = new Uint8Array(this.metaData.iv);
+    const chunkOffset = this.metaData.chunkOffset || 0;
+    const chunkSize = this.metaData.chunkSize || this.metaData.blockSize;
+    this._writable = writable;
 
-    let cumulativeBytes = 0;
-
-    for (let i = 0; i < this.metaData.totalChunks; i++) {
-      const chunkBaseBytes = cumulativeBytes;
-      cumulativeBytes = await this._downloadChunk(
-        i,
-        writable,
-        masterKey,
-        baseIv,
-        chunkBaseBytes,
-        (bytes, total) => {
-          this.downloadedBytes = total;
-          onProgress(bytes, total);
-        },
+    if (resumeState) {
+      this.completedChunks = new Set(resumeState.completedChunks);
+      this.chunkBlocks = new Map(
+        Object.entries(resumeState.chunkBlocks || {}).map(([i, n]) => [Number(i), n]),
       );
+      for (const i of this.completedChunks) {
+        this.downloadedBytes += this._getChunkPlainSize(i, chunkSize);
+      }
+      for (const n of this.chunkBlocks.values()) {
+        this.downloadedBytes += n * this.metaData.encryptionBlockSize;
+      }
+      if (isSessionReusable(resumeState)) {
+        this.sessionToken = resumeState.sessionToken;
+        this.sessionStartedAt = resumeState.sessionStartedAt;
+      }
+      onProgress(0, this.downloadedBytes);
+    }
+
+    // 同一文件包的多个条目可共享一个下载会话
+    if (typeof this.metaData.maxDownloads === "number" && !this.sessionToken) {
+      await this._startSession();
+    }
+
+    const chunks = Array.from({ length: this.metaData.totalChunks }, (_, i) => i).filter(
+      (i) => !this.completedChunks.has(i),
+    );
+
+    // 阅后即焚：最后一个分块读完后服务端删除分享，必须在其他分块全部完成后再下载
+    const lastChunk =
+      this.metaData.burnAfterRead && chunks.at(-1) === this.metaData.totalChunks - 1
+        ? chunks.pop()
+        : undefined;
+
+    const downloadChunk = async (i) => {
+      await this._downloadChunk(i, chunkOffset + i, masterKey, baseIv, i * chunkSize, onProgress);
+      if (onCheckpoint) {
+        await this._enqueue(async () => {
+          const next = await onCheckpoint(this.getState());
+          if (next) this._writable = next;
+        });
+      }
+    };
+
+    await runWithConcurrency(chunks, seekable ? PREFETCH_WINDOW : 1, downloadChunk);
+    if (lastChunk !== undefined) {
+      await downloadChunk(lastChunk);
     }
   }
 }
@@ -0,0 +1,92 @@
+/**
+ * 文件选择辅助函数
+ * 将 <input> 选择或拖拽的文件/文件夹统一转换为 { file, path } 条目列表
+ */
+
+/**
+ * 从 <input type="file"> 的 FileList 获取条目
+ * 选择文件夹（webkitdirectory）时 webkitRelativePath 包含相对路径
+ * @param {FileList} fileList
+ * @returns {Array<{file: File, path: string}>}
+ */
+export function entriesFromFileList(fileList) {
+  return Array.from(fileList, (file) => ({
+    file,
+    path: file.webkitRelativePath || file.name,
+  }));
+}
+
+/**
+ * 读取目录中的全部条目（readEntries 每次只返回一批）
+ * @param {FileSystemDirectoryEntry} dirEntry
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+async function readAllDirectoryEntries(dirEntry) {
+  const reader = dirEntry.createReader();
+  const entries = [];
+  while (true) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    entries.push(...batch);
+  }
+  return entries;
+}
+
+/**
+ * 递归遍历拖拽的文件系统条目
+ * @param {FileSystemEntry} entry
+ * @param {string} prefix - 父目录相对路径
+ * @param {Array<{file: File, path: string}>} result
+ */
+async function walkEntry(entry, prefix, result) {
+  const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    result.push({ file, path });
+    return;
+  }
+  if (entry.isDirectory) {
+    for (const child of await readAllDirectoryEntries(entry)) {
+      await walkEntry(child, path, result);
+    }
+  }
+}
+
+/**
+ * 从拖拽事件的 DataTransfer 获取条目（支持文件夹）
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+export async function entriesFromDataTransfer(dataTransfer) {
+  // webkitGetAsEntry 必须在事件处理的同步阶段调用
+  const rootEntries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (rootEntries.length === 0) {
+    return entriesFromFileList(dataTransfer.files);
+  }
+
+  const result = [];
+  for (const entry of rootEntries) {
+    await walkEntry(entry, "", result);
+  }
+  return result;
+}
+
+/**
+ * 在目录句柄下按相对路径创建文件（逐级创建子目录）
+ * @param {FileSystemDirectoryHandle} dirHandle
+ * @param {string} path
+ * @returns {Promise<FileSystemFileHandle>}
+ */
+export async function getFileHandleByPath(dirHandle, path) {
+  const parts = path.split("/").filter((part) => part && part !== "." && part !== "..");
+  const fileName = parts.pop();
+  let current = dirHandle;
+  for (const part of parts) {
+    current = await current.getDirectoryHandle(part, { create: true });
+  }
+  return current.getFileHandle(fileName, { create: true });
+}
@@ -0,0 +1,29 @@
+/**
+ * 分享管理模块
+ */
+
+/**
+ * 撤销分享：删除服务端存储的分片和元数据
+ * @param {string} fileId
+ * @param {string} manageToken - 上传完成时返回的管理 token
+ */
+export async function revokeShare(fileId, manageToken) {
+  const res = await fetch(`/api/file/${fileId}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${manageToken}` },
+  });
+  if (!res.ok) {
+    const errData = await res.json().catch(() => ({}));
+    throw new Error(errData.error || "Revoke failed");
+  }
+}
+
+/**
+ * 生成管理链接（管理 token 放在 URL Fragment 中，不会发送到服务器）
+ * @param {string} fileId
+ * @param {string} manageToken
+ * @returns {string}
+ */
+export function getManageLink(fileId, manageToken) {
+  return `${window.location.origin}${window.location.pathname}?m=${fileId}#${manageToken}`;
+}
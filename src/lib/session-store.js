@@ -0,0 +1,122 @@
+/**
+ * 传输会话持久化（IndexedDB）
+ * 保存断点续传所需的信息，页面刷新或浏览器崩溃后可继续上传/下载
+ *
+ * - 上传会话：重新选择同一文件即可继续上传。会话中包含主密钥，上传完成或会话过期后立即删除
+ * - 下载进度：保存文件句柄和已写入的分块，重新打开分享链接可继续下载
+ */
+
+const DB_NAME = "megashare";
+const DB_VERSION = 2;
+const UPLOAD_STORE = "uploads";
+const DOWNLOAD_STORE = "downloads";
+
+let dbPromise = null;
+
+/**
+ * 打开数据库（单例）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(UPLOAD_STORE)) {
+          db.createObjectStore(UPLOAD_STORE, { keyPath: "fingerprint" });
+        }
+        if (!db.objectStoreNames.contains(DOWNLOAD_STORE)) {
+          db.createObjectStore(DOWNLOAD_STORE, { keyPath: "key" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // 打开失败（如隐私模式禁用 IndexedDB）时允许下次重试
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+/**
+ * 在对象仓库上执行单个请求
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * 保存上传会话
+ * @param {Object} session - 以 fingerprint 为主键
+ */
+export function saveUploadSession(session) {
+  return withStore(UPLOAD_STORE, "readwrite", (store) => store.put(session));
+}
+
+/**
+ * 读取上传会话
+ * @param {string} fingerprint
+ * @returns {Promise<Object|undefined>}
+ */
+export function loadUploadSession(fingerprint) {
+  return withStore(UPLOAD_STORE, "readonly", (store) => store.get(fingerprint));
+}
+
+/**
+ * 删除上传会话
+ * @param {string} fingerprint
+ */
+export function deleteUploadSession(fingerprint) {
+  return withStore(UPLOAD_STORE, "readwrite", (store) => store.delete(fingerprint));
+}
+
+/**
+ * 删除已过期的上传会话，避免主密钥长期留存
+ */
+export async function pruneUploadSessions() {
+  const sessions = await withStore(UPLOAD_STORE, "readonly", (store) => store.getAll());
+  const now = Date.now();
+  for (const session of sessions) {
+    if (session.expiresAt && session.expiresAt <= now) {
+      await deleteUploadSession(session.fingerprint);
+    }
+  }
+}
+
+/**
+ * 保存下载进度
+ * @param {Object} state - 以 key（分享 ID，文件包条目为 "分享 ID/相对路径"）为主键，
+ *   包含 fileHandle 和下载器的 DownloadState
+ */
+export function saveDownloadState(state) {
+  return withStore(DOWNLOAD_STORE, "readwrite", (store) => store.put(state));
+}
+
+/**
+ * 列出某个分享的全部下载进度
+ * @param {string} fileId
+ * @returns {Promise<Object[]>}
+ */
+export async function listDownloadStates(fileId) {
+  const states = await withStore(DOWNLOAD_STORE, "readonly", (store) => store.getAll());
+  return states.filter((state) => state.fileId === fileId);
+}
+
+/**
+ * 删除下载进度
+ * @param {string} key
+ */
+export function deleteDownloadState(key) {
+  return withStore(DOWNLOAD_STORE, "readwrite", (store) => store.delete(key));
+}
@@ -2,42 +2,179 @@
  * 文件上传模块
  */
 
-import { generateMasterKey, exportMasterKey, hashData, encryptSensitiveMeta } from "./crypto.js";
-import { withRetry } from "./utils.js";
+import {
+  generateMasterKey,
+  exportMasterKey,
+  importMasterKey,
+  decodeBase64,
+  hashData,
+  encryptSensitiveMeta,
+  wrapMasterKey,
+  MANIFEST_IV_INDEX,
+} from "./crypto.js";
+import { withRetry, runWithConcurrency } from "./utils.js";
 import { getEncryptorClass, ENCRYPTION_BLOCK_SIZE } from "./crypto-config.js";
+import {
+  saveUploadSession,
+  loadUploadSession,
+  deleteUploadSession,
+  pruneUploadSessions,
+} from "./session-store.js";
+
+// 分段上传中单个 part 的重试次数（整个分片失败时还会整体重试）
+const PART_RETRIES = 3;
 
 /**
  * 上传器类
+ *
+ * 支持单个文件或多个文件（含文件夹）共享一个链接：
+ * 每个条目从新的分块开始，分块序号在整个分享内全局递增，
+ * 条目列表（相对路径、大小、分块范围）加密后作为清单随元数据保存
+ *
+ * 上传会话（fileId、上传 token、主密钥、IV）持久化到 IndexedDB，
+ * 重新选择同一文件时向服务端查询已上传的分片，从第一个缺失的分块继续
  */
 export class FileUploader {
-  constructor(file, serverConfig) {
-    this.file = file;
+  /**
+   * @param {File|Array<{file: File, path: string}>} files - 单个文件或文件条目列表
+   * @param {Object} serverConfig
+   */
+  constructor(files, serverConfig) {
+    const list = Array.isArray(files) ? files : [{ file: files, path: files.name }];
     this.serverConfig = serverConfig;
     this.uploadedBytes = 0;
-    this.totalBytes = file.size;
-    this.totalChunks = Math.ceil(file.size / serverConfig.chunkSize);
+    this.totalBytes = 0;
+    this.totalChunks = 0;
+    this.entries = list.map(({ file, path }) => {
+      const chunkCount = Math.ceil(file.size / serverConfig.chunkSize);
+      const entry = {
+        file,
+        path,
+        size: file.size,
+        type: file.type || "application/octet-stream",
+        chunkOffset: this.totalChunks,
+        chunkCount,
+      };
+      this.totalBytes += file.size;
+      this.totalChunks += chunkCount;
+      return entry;
+    });
+    // 单个文件且不在文件夹中时保持原有的单文件格式
+    this.isBundle = this.entries.length > 1 || this.entries[0].path.includes("/");
+  }
+
+  /**
+   * 文件包名称：共同的顶层文件夹名，否则为文件数量
+   */
+  _getBundleName() {
+    const roots = new Set(this.entries.map((e) => e.path.split("/")[0]));
+    if (roots.size === 1 && this.entries[0].path.includes("/")) {
+      return [...roots][0];
+    }
+    return `${this.entries.length} 个文件`;
+  }
+
+  /**
+   * 按上传顺序列出全部分块
+   * @returns {Array<{entry: Object, index: number, start: number, end: number}>}
+   */
+  _getChunkPlan() {
+    const plan = [];
+    for (const entry of this.entries) {
+      for (let i = 0; i < entry.chunkCount; i++) {
+        const start = i * this.serverConfig.chunkSize;
+        const end = Math.min(start + this.serverConfig.chunkSize, entry.size);
+        plan.push({ entry, index: entry.chunkOffset + i, start, end });
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * 文件指纹：相同的文件（路径、大小、修改时间）和分块大小对应同一上传会话
+   */
+  async _getFingerprint() {
+    const files = this.entries.map((e) => [e.path, e.size, e.file.lastModified]);
+    return hashData(JSON.stringify({ files, chunkSize: this.serverConfig.chunkSize }));
+  }
+
+  /**
+   * 查询服务端已保存的分片
+   * @returns {Promise<Array<{index: number, chunkFileId: string, size: number}>|null>} 会话失效时返回 null
+   */
+  async _getUploadStatus(fileId, uploadToken) {
+    const res = await fetch(`/api/upload/${fileId}/status`, {
+      headers: { "X-Upload-Token": uploadToken },
+    });
+    if (!res.ok) return null;
+    const { chunks } = await res.json();
+    return chunks;
+  }
+
+  /**
+   * 尝试恢复未完成的上传会话
+   * 只保留大小与预期加密大小一致的分片，不完整的分片会重新上传
+   * @returns {Promise<{session: Object, completed: Map<number, string>}|null>}
+   */
+  async _resumeSession(fingerprint, plan) {
+    await pruneUploadSessions();
+    const session = await loadUploadSession(fingerprint);
+    if (!session) return null;
+
+    const chunks = await this._getUploadStatus(session.fileId, session.uploadToken);
+    if (!chunks) {
+      await deleteUploadSession(fingerprint);
+      return null;
+    }
+
+    // 加密后每个加密块附加 16 字节 GCM 认证标签
+    const expectedSizes = new Map(
+      plan.map(({ index, start, end }) => {
+        const size = end - start;
+        return [index, size + Math.ceil(size / ENCRYPTION_BLOCK_SIZE) * 16];
+      }),
+    );
+    const completed = new Map();
+    for (const chunk of chunks) {
+      if (chunk.size === expectedSizes.get(chunk.index)) {
+        completed.set(chunk.index, chunk.chunkFileId);
+      }
+    }
+    return { session, completed };
   }
 
   /**
    * 初始化上传会话
+   * @param {Object} policy - 分享策略（有效期、下载次数限制、阅后即焚）
+   * @param {string} [credential] - 私有部署要求的上传凭证
    */
-  async _initUpload() {
+  async _initUpload(policy, credential) {
     const res = await fetch("/api/upload/start", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ fileSize: this.file.size }),
+      headers: {
+        "Content-Type": "application/json",
+        ...(credential ? { Authorization: `Bearer ${credential}` } : {}),
+      },
+      body: JSON.stringify({
+        fileSize: this.totalBytes,
+        fileSizes: this.isBundle ? this.entries.map((e) => e.size) : undefined,
+        ...policy,
+      }),
     });
     if (!res.ok) {
       const errData = await res.json().catch(() => ({}));
-      throw new Error(errData.error || "Init failed");
+      const err = new Error(errData.error || "Init failed");
+      err.status = res.status;
+      throw err;
     }
     return res.json();
   }
 
   /**
    * 获取上传规格
+   * @param {string|null} [abortUploadId] - 重试时上次未完成的分段上传，服务端会先将其放弃
    */
-  async _getUploadSpec(fileId, chunkIndex, chunkSize, contentHash, uploadToken) {
+  async _getUploadSpec(fileId, chunkIndex, chunkSize, contentHash, uploadToken, abortUploadId) {
     const res = await fetch("/api/upload/chunk", {
       method: "POST",
       headers: {
@@ -49,6 +186,7 @@ export class FileUploader {
         chunkIndex,
         chunkSize,
         contentHash,
+        abortUploadId: abortUploadId || undefined,
       }),
     });
     if (!res.ok) {
@@ -60,6 +198,7 @@ export class FileUploader {
 
   /**
    * 使用 XHR 上传数据
+   * @returns {Promise<string|null>} 响应头中的 ETag（分段上传需要）
    */
   _uploadWithXHR(uploadSpec, data, onProgress) {
     return new Promise((resolve, reject) => {
@@ -71,7 +210,7 @@ export class FileUploader {
 
       xhr.onload = () => {
         if (xhr.status >= 200 && xhr.status < 300) {
-          resolve();
+          resolve(xhr.getResponseHeader("ETag"));
           return;
         }
         reject(new Error(`Upload failed: ${xhr.status}`));
@@ -97,10 +236,38 @@ export class FileUploader {
     });
   }
 
+  /**
+   * 分段上传：逐个上传 part，失败的 part 单独重试，不影响已上传的 part
+   * @returns {Promise<Array<{partNumber: number, etag: string}>>}
+   */
+  async _uploadParts(parts, data, onProgress) {
+    const completed = [];
+    let completedBytes = 0;
+    for (const part of parts) {
+      const etag = await withRetry(
+        () =>
+          this._uploadWithXHR(
+            { url: part.url, method: "PUT" },
+            data.slice(part.offset, part.offset + part.size),
+            (loaded) => onProgress(completedBytes + loaded),
+          ),
+        PART_RETRIES,
+      );
+      if (!etag) {
+        // 跨域访问存储时需在 CORS 配置中暴露 ETag 响应头
+        throw new Error(`Missing ETag for part ${part.partNumber}`);
+      }
+      completed.push({ partNumber: part.partNumber, etag });
+      completedBytes += part.size;
+    }
+    return completed;
+  }
+
   /**
    * 通知服务端分片上传完成
+   * @param {Array<{partNumber: number, etag: string}>} [parts] - 分段上传的 part 列表
    */
-  async _notifyChunkComplete(fileId, chunkIndex, chunkFileId, uploadId, contentHash, uploadToken) {
+  async _notifyChunkComplete(fileId, chunkIndex, uploadId, contentHash, uploadToken, parts) {
     const res = await fetch("/api/upload/chunk", {
       method: "PUT",
       headers: {
@@ -110,9 +277,9 @@ export class FileUploader {
       body: JSON.stringify({
         fileId,
         chunkIndex,
-        chunkFileId,
         uploadId,
         contentHash,
+        parts,
       }),
     });
     if (!res.ok) {
@@ -145,9 +312,10 @@ export class FileUploader {
       hash: contentHash,
     } = await encryptor.processStream(fileSlice);
 
-    // 上传
+    // 上传（多个分片并发上传，进度按本分片的增量累加，失败时只回退本分片的进度）
+    // 分段上传失败重试时会开始新的分段上传，上一次的 uploadId 交给服务端放弃
+    let pendingUploadId = null;
     const chunkFileId = await withRetry(async () => {
-      const bytesBeforeAttempt = this.uploadedBytes;
       let chunkUploaded = 0;
 
       try {
@@ -157,27 +325,40 @@ export class FileUploader {
           encryptedSize,
           contentHash,
           uploadToken,
+          pendingUploadId,
         );
+        pendingUploadId = uploadSpec.parts ? uploadId : null;
 
-        await this._uploadWithXHR(uploadSpec, encryptedBlob, (loaded) => {
+        const trackProgress = (loaded) => {
           const delta = loaded - chunkUploaded;
           chunkUploaded = loaded;
           this.uploadedBytes += delta;
           onProgress(delta, this.uploadedBytes);
-        });
+        };
+
+        let parts;
+        if (uploadSpec.parts) {
+          parts = await this._uploadParts(uploadSpec.parts, encryptedBlob, trackProgress);
+        } else {
+          await this._uploadWithXHR(uploadSpec, encryptedBlob, trackProgress);
+        }
 
         await this._notifyChunkComplete(
           fileId,
           chunkIndex,
-          chunkFileId,
           uploadId,
           contentHash,
           uploadToken,
+          parts,
         );
+
+        // 传输的是加密数据（含认证标签），完成后按明文大小校正进度
+        this.uploadedBytes += fileSlice.size - chunkUploaded;
+        onProgress(0, this.uploadedBytes);
         return chunkFileId;
       } catch (err) {
-        this.uploadedBytes = bytesBeforeAttempt;
-        onProgress(0, 0);
+        this.uploadedBytes -= chunkUploaded;
+        onProgress(0, this.uploadedBytes);
         throw err;
       }
     });
@@ -205,60 +386,121 @@ export class FileUploader {
       const errData = await res.json().catch(() => ({}));
       throw new Error(`Upload finalization failed: ${errData.error || res.statusText}`);
     }
+    return res.json();
   }
 
   /**
    * 执行上传
+   * @param {Function} onProgress
+   * @param {Function} onStatusUpdate
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - 访问口令，设置后主密钥经口令包装存入元数据，链接不再携带密钥
+   * @param {number} [options.expiresIn] - 分享有效期（秒），不传则使用服务端默认值
+   * @param {number} [options.maxDownloads] - 最大下载次数，不传则不限制
+   * @param {boolean} [options.burnAfterRead] - 阅后即焚，下载一次后删除
+   * @param {string} [options.credential] - 上传凭证（邀请码、API Key 或 JWT）
+   *
+   * 继续未完成的上传时，有效期和下载限制沿用首次上传时签入 token 的设置
    */
-  async upload(onProgress, onStatusUpdate) {
-    // 1. 初始化
-    const { fileId, uploadToken } = await this._initUpload();
+  async upload(
+    onProgress,
+    onStatusUpdate,
+    { passphrase, expiresIn, maxDownloads, burnAfterRead = false, credential } = {},
+  ) {
+    const plan = this._getChunkPlan();
+    const fingerprint = await this._getFingerprint();
+
+    // 1. 恢复未完成的会话，或初始化新会话
+    // IndexedDB 不可用（如隐私模式）时不影响正常上传，只是无法续传
+    const resumed = await this._resumeSession(fingerprint, plan).catch((err) => {
+      console.warn("Failed to restore upload session:", err);
+      return null;
+    });
+
+    let session;
+    let completed = new Map();
+    if (resumed) {
+      ({ session, completed } = resumed);
+    } else {
+      const { fileId, uploadToken, expiresAt } = await this._initUpload(
+        { expiresIn, maxDownloads, burnAfterRead },
+        credential,
+      );
+      const masterKey = await generateMasterKey();
+      session = {
+        fingerprint,
+        fileId,
+        uploadToken,
+        expiresAt,
+        masterKeyStr: await exportMasterKey(masterKey),
+        iv: Array.from(window.crypto.getRandomValues(new Uint8Array(12))),
+      };
+      await saveUploadSession(session).catch((err) => {
+        console.warn("Failed to persist upload session:", err);
+      });
+    }
 
     // 2. 准备加密
-    const masterKey = await generateMasterKey();
-    const masterKeyStr = await exportMasterKey(masterKey);
-    const baseIv = window.crypto.getRandomValues(new Uint8Array(12));
+    const { fileId, uploadToken, expiresAt, masterKeyStr } = session;
+    const masterKey = await importMasterKey(decodeBase64(masterKeyStr));
+    const baseIv = new Uint8Array(session.iv);
     const keyHash = await hashData(masterKeyStr);
 
     const uploadedChunkIds = [];
 
-    onStatusUpdate({
-      action: "准备上传",
-      size: `${this.totalChunks} 个分块`,
-      speed: "",
-      eta: "",
-    });
+    if (completed.size > 0) {
+      onStatusUpdate({
+        action: "正在继续上次的上传",
+        size: `已完成 ${completed.size} / ${this.totalChunks} 个分块`,
+        speed: "",
+        eta: "",
+      });
+    } else {
+      onStatusUpdate({
+        action: "准备上传",
+        size: `${this.totalChunks} 个分块`,
+        speed: "",
+        eta: "",
+      });
+    }
 
-    // 3. 逐块上传
-    for (let i = 0; i < this.totalChunks; i++) {
-      const start = i * this.serverConfig.chunkSize;
-      const end = Math.min(start + this.serverConfig.chunkSize, this.file.size);
-      const fileSlice = this.file.slice(start, end);
+    // 3. 并发上传（分块序号在所有条目间全局递增），跳过已上传的分块
+    // 每个进行中的分片在内存中保留一份加密数据，并发数即内存上限
+    const pending = [];
+    for (const chunk of plan) {
+      if (completed.has(chunk.index)) {
+        uploadedChunkIds.push({ index: chunk.index, fileId: completed.get(chunk.index) });
+        this.uploadedBytes += chunk.end - chunk.start;
+      } else {
+        pending.push(chunk);
+      }
+    }
+    onProgress(0, this.uploadedBytes);
 
+    const concurrency = this.serverConfig.uploadConcurrency || 1;
+    await runWithConcurrency(pending, concurrency, async ({ entry, index, start, end }) => {
       const chunkFileId = await this._uploadChunk(
-        fileSlice,
-        i,
+        entry.file.slice(start, end),
+        index,
         masterKey,
         baseIv,
         fileId,
         uploadToken,
         onProgress,
       );
-
-      uploadedChunkIds.push({ index: i, fileId: chunkFileId });
-    }
+      uploadedChunkIds.push({ index, fileId: chunkFileId });
+    });
 
     // 4. 完成上传
     onStatusUpdate({ action: "正在完成上传..." });
 
-    const sensitiveMeta = {
-      name: this.file.name,
-      type: this.file.type || "application/octet-stream",
-    };
+    const sensitiveMeta = this.isBundle
+      ? { name: this._getBundleName(), type: "application/x-megashare-bundle" }
+      : { name: this.entries[0].file.name, type: this.entries[0].type };
     const encryptedMeta = await encryptSensitiveMeta(masterKey, baseIv, sensitiveMeta);
 
     const fileMeta = {
-      size: this.file.size,
+      size: this.totalBytes,
       iv: Array.from(baseIv),
       keyHash,
       createdAt: Date.now(),
@@ -268,8 +510,37 @@ export class FileUploader {
       chunkSize: this.serverConfig.chunkSize,
     };
 
-    await this._finalizeUpload(fileId, fileMeta, uploadedChunkIds, uploadToken);
+    if (this.isBundle) {
+      const manifest = {
+        entries: this.entries.map(({ path, size, type, chunkOffset, chunkCount }) => ({
+          path,
+          size,
+          type,
+          chunkOffset,
+          chunkCount,
+        })),
+      };
+      fileMeta.encryptedManifest = await encryptSensitiveMeta(
+        masterKey,
+        baseIv,
+        manifest,
+        MANIFEST_IV_INDEX,
+      );
+    }
+
+    if (passphrase) {
+      onStatusUpdate({ action: "正在使用访问口令保护密钥..." });
+      fileMeta.keyWrap = await wrapMasterKey(masterKey, passphrase);
+    }
+
+    const { manageToken } = await this._finalizeUpload(
+      fileId,
+      fileMeta,
+      uploadedChunkIds,
+      uploadToken,
+    );
+    await deleteUploadSession(fingerprint).catch(() => {});
 
-    return { fileId, masterKeyStr };
+    return { fileId, masterKeyStr, manageToken, expiresAt, passphraseProtected: !!passphrase };
   }
 }
@@ -23,6 +23,72 @@ export const withRetry = async (fn, retries = MAX_RETRIES, delayMs = RETRY_DELAY
   throw lastError;
 };
 
+/**
+ * 以有限并发处理任务列表，任一任务失败时不再领取新任务并抛出该错误
+ * @param {Array} items
+ * @param {number} concurrency - 最大并发数
+ * @param {(item: any) => Promise<void>} worker
+ */
+export const runWithConcurrency = async (items, concurrency, worker) => {
+  let next = 0;
+  let failed = false;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  });
+  await Promise.all(runners);
+};
+
+/**
+ * 从指定偏移开始获取 URL 内容（HTTP Range）
+ * 服务端不支持 Range 或 If-Range 不匹配而返回完整内容时，丢弃偏移之前的数据
+ * @param {string} url
+ * @param {number} [offset] - 起始字节
+ * @param {string|null} [etag] - 首次请求得到的 ETag，用作 If-Range
+ * @returns {Promise<{reader: ReadableStreamDefaultReader, etag: string|null}>}
+ */
+export const fetchFromOffset = async (url, offset = 0, etag = null) => {
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    if (etag) headers["If-Range"] = etag;
+  }
+
+  const res = await fetch(url, { headers });
+  // 偏移已到达内容末尾：没有剩余数据
+  if (res.status === 416 && offset > 0) {
+    return { reader: new ReadableStream({ start: (c) => c.close() }).getReader(), etag };
+  }
+  if (!res.ok) {
+    throw new Error(`下载失败: ${res.status}`);
+  }
+
+  let body = res.body;
+  if (offset > 0 && res.status !== 206) {
+    let skip = offset;
+    body = body.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          if (skip >= chunk.byteLength) {
+            skip -= chunk.byteLength;
+            return;
+          }
+          controller.enqueue(skip > 0 ? chunk.subarray(skip) : chunk);
+          skip = 0;
+        },
+      }),
+    );
+  }
+  return { reader: body.getReader(), etag: res.headers.get("ETag") };
+};
+
 // Format helpers
 const formatUnit = (value, units) => {
   if (!value || value <= 0) return `0 ${units[0]}`;
@@ -48,13 +114,23 @@ export const formatETA = (seconds) => {
 
 export const formatTimeRemaining = (ms) => {
   if (!ms || ms <= 0) return null;
-  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const days = Math.floor(ms / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((ms % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((ms % (1000 * 60)) / 1000);
+  if (days > 0) return `${days} 天 ${hours} 小时`;
   if (hours > 0) return `${hours} 小时 ${minutes} 分钟`;
-  if (minutes > 0) return `${minutes} 分钟`;
+  if (minutes > 0) return `${minutes} 分 ${seconds} 秒`;
+  if (seconds > 0) return `${seconds} 秒`;
   return "即将过期";
 };
 
+export const formatDuration = (seconds) => {
+  if (seconds % 86400 === 0) return `${seconds / 86400} 天`;
+  if (seconds % 3600 === 0) return `${seconds / 3600} 小时`;
+  return `${Math.round(seconds / 60)} 分钟`;
+};
+
 /**
  * Real-time speed tracker using sliding window with EMA smoothing
  */